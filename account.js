@@ -2,6 +2,7 @@
 
 var A = module.exports;
 var U = require('./utils.js');
+var E = require('./errors.js');
 
 var Keypairs = require('@root/keypairs');
 var Enc = require('@root/encoding/bytes');
@@ -24,6 +25,22 @@ A._getAccountKid = function (me, options) {
 	});
 };
 
+// The same, but for changes to an account that must already exist
+// (looked up by its key, which would otherwise register a new one)
+A._getExistingKid = function (me, options) {
+	var kid =
+		options.kid ||
+		(options.account && options.account.key && options.account.key.kid);
+
+	if (kid) {
+		return Promise.resolve(kid);
+	}
+
+	return A._getAccount(me, options).then(function (account) {
+		return account.key.kid;
+	});
+};
+
 // ACME RFC Section 7.3 Account Creation
 /*
  {
@@ -74,40 +91,7 @@ A._registerAccount = function (me, options) {
 
 			var pub = pair.public;
 			return attachExtAcc(pub, accountRequest).then(function (accReq) {
-				var payload = JSON.stringify(accReq);
-				return U._jwsRequest(me, {
-					accountKey: options.accountKey,
-					url: me._directoryUrls.newAccount,
-					protected: { kid: false, jwk: pair.public },
-					payload: Enc.strToBuf(payload)
-				}).then(function (resp) {
-					var account = resp.body;
-
-					if (resp.statusCode < 200 || resp.statusCode >= 300) {
-						if ('string' !== typeof account) {
-							account = JSON.stringify(account);
-						}
-						throw new Error(
-							'account error: ' +
-								resp.statusCode +
-								' ' +
-								account +
-								'\n' +
-								payload
-						);
-					}
-
-					// the account id url is the "kid"
-					var kid = resp.headers.location;
-					if (!account) {
-						account = { _emptyResponse: true };
-					}
-					if (!account.key) {
-						account.key = {};
-					}
-					account.key.kid = kid;
-					return account;
-				});
+				return A._postNewAccount(me, options, pair, accReq);
 			});
 		});
 	}
@@ -173,3 +157,340 @@ A._registerAccount = function (me, options) {
 		.then(agree)
 		.then(getAccount);
 };
+
+// ACME RFC Section 7.3.1 Finding an Account URL Given a Key
+// (same as account creation, but with the payload { "onlyReturnExisting": true })
+A._getAccount = function (me, options) {
+	//#console.debug('[ACME.js] accounts.get');
+	return Promise.resolve()
+		.then(function () {
+			return U._importKeypair(options.accountKey);
+		})
+		.then(function (pair) {
+			return A._postNewAccount(me, options, pair, {
+				onlyReturnExisting: true
+			});
+		})
+		.catch(function (e) {
+			if (/accountDoesNotExist$/.test(e.urn)) {
+				throw E.ACCOUNT_DOES_NOT_EXIST(e);
+			}
+			throw e;
+		});
+};
+
+// POST to new-account (self-signed with the jwk, since there's no kid yet)
+A._postNewAccount = function (me, options, pair, accountRequest) {
+	var payload = JSON.stringify(accountRequest);
+	return U._jwsRequest(me, {
+		accountKey: options.accountKey,
+		url: me._directoryUrls.newAccount,
+		protected: { kid: false, jwk: pair.public },
+		payload: Enc.strToBuf(payload)
+	}).then(function (resp) {
+		var account = resp.body;
+
+		if (resp.statusCode < 200 || resp.statusCode >= 300) {
+			if ('string' !== typeof account) {
+				account = JSON.stringify(account);
+			}
+			throw new Error(
+				'account error: ' +
+					resp.statusCode +
+					' ' +
+					account +
+					'\n' +
+					payload
+			);
+		}
+
+		// the account id url is the "kid"
+		var kid = resp.headers.location;
+		if (!account) {
+			account = { _emptyResponse: true };
+		}
+		if (!account.key) {
+			account.key = {};
+		}
+		account.key.kid = kid;
+		return account;
+	});
+};
+
+// ACME RFC Section 7.3.5 Account Key Rollover
+/*
+ {
+   "protected": base64url({
+     "alg": "ES256",
+     "kid": "https://example.com/acme/acct/evOfKhNU60wg",
+     "nonce": "S9XaOcxP5McpnTcWPIhYuB",
+     "url": "https://example.com/acme/key-change"
+   }),
+   "payload": base64url({
+     "protected": base64url({
+       "alg": "ES256",
+       "jwk": {...}, // the new key
+       "url": "https://example.com/acme/key-change"
+     }),
+     "payload": base64url({
+       "account": "https://example.com/acme/acct/evOfKhNU60wg",
+       "oldKey": {...} // the old key
+     }),
+     "signature": "Xe8B94RD30Azj2ea...8BmZIRtcSKPSd8gU"
+   }),
+   "signature": "5TWiqIYQfIDfALQv...x9C2mg8JGPxl5bI4"
+ }
+*/
+A._rolloverKey = function (me, options) {
+	//#console.debug('[ACME.js] accounts.rollover');
+	var url = me._directoryUrls.keyChange;
+	var kid;
+	var oldPair;
+
+	if (!options.newAccountKey) {
+		return Promise.reject(
+			new Error(
+				'no `newAccountKey` given (should be in JWK or PEM format)'
+			)
+		);
+	}
+
+	return A._getExistingKid(me, options)
+		.then(function (_kid) {
+			kid = _kid;
+			return U._importKeypair(options.accountKey);
+		})
+		.then(function (pair) {
+			oldPair = pair;
+			return U._importKeypair(options.newAccountKey);
+		})
+		.then(function (newPair) {
+			// The inner JWS is signed by the new key, and has no nonce
+			return Keypairs.signJws({
+				jwk: newPair.private,
+				protected: { jwk: newPair.public, url: url },
+				payload: Enc.strToBuf(
+					JSON.stringify({ account: kid, oldKey: oldPair.public })
+				)
+			});
+		})
+		.then(function (jws) {
+			// The outer JWS is signed by the old key, as usual
+			return U._jwsRequest(me, {
+				accountKey: oldPair.private,
+				url: url,
+				protected: { kid: kid },
+				payload: Enc.strToBuf(JSON.stringify(jws))
+			});
+		})
+		.then(function (resp) {
+			var account = resp.body;
+
+			if (409 === resp.statusCode) {
+				throw E.KEY_IN_USE(resp);
+			}
+			if (resp.statusCode < 200 || resp.statusCode >= 300) {
+				if ('string' !== typeof account) {
+					account = JSON.stringify(account);
+				}
+				throw new Error(
+					'key change error: ' + resp.statusCode + ' ' + account
+				);
+			}
+
+			// the account id url (and therefore its orders) stays the same
+			if (!account || 'object' !== typeof account) {
+				account = JSON.parse(JSON.stringify(options.account || {}));
+				account._emptyResponse = true;
+			}
+			if (!account.key) {
+				account.key = {};
+			}
+			account.key.kid = kid;
+			return account;
+		});
+};
+
+// ACME RFC Section 7.3.2 Account Update
+/*
+ {
+   "protected": base64url({
+     "alg": "ES256",
+     "kid": "https://example.com/acme/acct/evOfKhNU60wg",
+     "nonce": "ax5RnthDqp_Yf4_HZnFLmA",
+     "url": "https://example.com/acme/acct/evOfKhNU60wg"
+   }),
+   "payload": base64url({
+     "contact": [
+       "mailto:certificates@example.org",
+       "mailto:admin@example.org"
+     ]
+   }),
+   "signature": "hDXzvcj8T6fbFbmn...rDzXzzvzpRy64N0o"
+ }
+*/
+A._updateAccount = function (me, options) {
+	//#console.debug('[ACME.js] accounts.update');
+	return Promise.resolve()
+		.then(function () {
+			var contact;
+			if (options.contact) {
+				contact = options.contact.slice(0);
+			} else if (options.subscriberEmail) {
+				contact = ['mailto:' + options.subscriberEmail];
+			}
+			if (!Array.isArray(contact)) {
+				throw new Error(
+					'no `contact` given (should be a list of mailto: urls)'
+				);
+			}
+			contact.forEach(function (c) {
+				// one address per mailto: url, and no ?subject= or other hfields
+				if (!/^mailto:[^@\s,?]+@[^@\s,?]+\.[^@\s,?]+$/.test(c)) {
+					throw E.INVALID_CONTACT({
+						detail: "'" + c + "' is not a valid mailto: url"
+					});
+				}
+			});
+
+			return A._postAccount(me, options, { contact: contact });
+		})
+		.catch(function (e) {
+			if (/invalidContact$/.test(e.urn)) {
+				throw E.INVALID_CONTACT(e);
+			}
+			if (/unsupportedContact$/.test(e.urn)) {
+				throw E.UNSUPPORTED_CONTACT(e);
+			}
+			throw e;
+		});
+};
+
+// ACME RFC Section 7.3.6 Account Deactivation
+// (same as above, but with the payload { "status": "deactivated" })
+A._deactivateAccount = function (me, options) {
+	//#console.debug('[ACME.js] accounts.deactivate');
+	return A._postAccount(me, options, { status: 'deactivated' });
+};
+
+// POST to the account url (the "kid")
+A._postAccount = function (me, options, body) {
+	return A._getExistingKid(me, options).then(function (kid) {
+		var payload = JSON.stringify(body);
+		return U._jwsRequest(me, {
+			accountKey: options.accountKey,
+			url: kid,
+			protected: { kid: kid },
+			payload: Enc.strToBuf(payload)
+		}).then(function (resp) {
+			var account = resp.body;
+
+			if (resp.statusCode < 200 || resp.statusCode >= 300) {
+				if ('string' !== typeof account) {
+					account = JSON.stringify(account);
+				}
+				throw new Error(
+					'account error: ' +
+						resp.statusCode +
+						' ' +
+						account +
+						'\n' +
+						payload
+				);
+			}
+
+			if (!account) {
+				account = { _emptyResponse: true };
+			}
+			if (!account.key) {
+				account.key = {};
+			}
+			account.key.kid = kid;
+			return account;
+		});
+	});
+};
+
+// ACME RFC Section 7.1.2.1 Orders List
+/*
+ HTTP/1.1 200 OK
+ Content-Type: application/json
+ Link: <https://example.com/acme/directory>;rel="index"
+ Link: <https://example.com/acme/orders/rzGoeA?cursor=2>;rel="next"
+
+ {
+   "orders": [
+     "https://example.com/acme/order/TOlocE8rfgo",
+     "https://example.com/acme/order/4E16bbL5iSw",
+     // more URLs not shown for example brevity
+     "https://example.com/acme/order/RaIQ2KEcdsM"
+   ]
+ }
+*/
+A._listOrders = function (me, options) {
+	//#console.debug('[ACME.js] accounts.orders');
+	var kid;
+	var orderUrls = [];
+	var seen = {};
+
+	function postAsGet(url) {
+		return U._jwsRequest(me, {
+			accountKey: options.accountKey,
+			url: url,
+			protected: { kid: kid },
+			payload: Enc.binToBuf('')
+		});
+	}
+
+	function getPage(url) {
+		// guard against a server that links back to a page we've seen
+		if (!url || seen[url]) {
+			return Promise.resolve(orderUrls);
+		}
+		seen[url] = true;
+
+		return postAsGet(url).then(function (resp) {
+			orderUrls = orderUrls.concat((resp.body && resp.body.orders) || []);
+			var next = U._parseLinks(resp, 'next', url)[0];
+			return getPage(next && next.url);
+		});
+	}
+
+	// These are done serially rather than parallel on purpose (rate limits)
+	function getOrders(urls) {
+		var orders = [];
+		function getNext() {
+			var url = urls.shift();
+			if (!url) {
+				return Promise.resolve(orders);
+			}
+			return postAsGet(url).then(function (resp) {
+				var order = resp.body;
+				order._orderUrl = url;
+				order._finalizeUrl = order.finalize;
+				orders.push(order);
+				return getNext();
+			});
+		}
+		return getNext();
+	}
+
+	return A._getExistingKid(me, options)
+		.then(function (_kid) {
+			kid = _kid;
+			// POST-as-GET the account to get its current orders url
+			return postAsGet(kid);
+		})
+		.then(function (resp) {
+			var ordersUrl = resp.body && resp.body.orders;
+			if (!ordersUrl) {
+				throw new Error(
+					"the ACME server did not list an `orders` url for the account '" +
+						kid +
+						"'"
+				);
+			}
+			return getPage(ordersUrl);
+		})
+		.then(getOrders);
+};
@@ -6,13 +6,14 @@
 /* globals Promise */
 
 require('@root/encoding/bytes');
+require('@root/encoding/hex');
 var Enc = require('@root/encoding/base64');
 var ACME = module.exports;
 var Keypairs = require('@root/keypairs');
-var CSR = require('@root/csr');
 var sha2 = require('@root/keypairs/lib/node/sha2.js');
 var http = require('./lib/node/http.js');
 var A = require('./account.js');
+var C = require('./certificate.js');
 var U = require('./utils.js');
 var E = require('./errors.js');
 var M = require('./maintainers.js');
@@ -58,6 +59,24 @@ ACME.create = function create(me) {
 		};
 	}
 
+	if (!me.tlsAlpn01) {
+		me.tlsAlpn01 = function (ch) {
+			return native._tlsAlpn01(me, ch);
+		};
+	}
+
+	if (!me.dnsCname) {
+		me.dnsCname = function (name) {
+			return native._dnsCname(me, name);
+		};
+	}
+
+	if (!me.dnsZone) {
+		me.dnsZone = function (name) {
+			return native._dnsZone(me, name);
+		};
+	}
+
 	if (!me.__request) {
 		me.__request = http.request;
 	}
@@ -103,6 +122,21 @@ ACME.create = function create(me) {
 			} catch (e) {
 				return Promise.reject(e);
 			}
+		},
+		get: function (options) {
+			return A._getAccount(me, options);
+		},
+		orders: function (options) {
+			return A._listOrders(me, options);
+		},
+		rollover: function (options) {
+			return A._rolloverKey(me, options);
+		},
+		update: function (options) {
+			return A._updateAccount(me, options);
+		},
+		deactivate: function (options) {
+			return A._deactivateAccount(me, options);
 		}
 	};
 	/*
@@ -125,12 +159,23 @@ ACME.create = function create(me) {
 		}
 	};
   */
+	me.challenges = {
+		test: function (options) {
+			return ACME._testChallenges(me, options);
+		}
+	};
 	me.certificates = {
 		create: function (options) {
 			return A._getAccountKid(me, options).then(function (kid) {
 				ACME._normalizePresenters(me, options, options.challenges);
 				return ACME._getCertificate(me, options, kid);
 			});
+		},
+		revoke: function (options) {
+			return ACME._revokeCert(me, options);
+		},
+		renewalInfo: function (options) {
+			return ACME._getRenewalInfo(me, options);
 		}
 	};
 	return me;
@@ -187,15 +232,135 @@ ACME.challengeTests = {
 			err = new Error(
 				'Error: Failed DNS-01 Pre-Flight Dry Run.\n' +
 					"dig TXT '" +
-					ch.dnsHost +
+					(ch.dnsAlias || ch.dnsHost) +
 					"' does not return '" +
 					ch.dnsAuthorization +
 					"'\n" +
+					ACME._describeNameservers(ans) +
 					'See https://git.rootprojects.org/root/acme.js/issues/4'
 			);
 			err.code = 'E_FAIL_DRY_CHALLENGE';
+			err.nameservers = ans.nameservers;
 			throw err;
 		});
+	},
+	'tls-alpn-01': function (me, auth) {
+		var ch = auth.challenge;
+		return me
+			.tlsAlpn01(ch)
+			.catch(function (e) {
+				return { error: e };
+			})
+			.then(function (result) {
+				var err;
+				var problem = ACME._checkTlsAlpnCert(ch, result);
+				if (!problem) {
+					return true;
+				}
+
+				err = new Error(
+					'Error: Failed TLS-ALPN-01 Pre-Flight Dry Run.\n' +
+						"openssl s_client -connect '" +
+						ch.hostname +
+						":443' -servername '" +
+						ch.servername +
+						"' -alpn acme-tls/1\n" +
+						problem +
+						'\n' +
+						'See https://git.rootprojects.org/root/acme.js/issues/4'
+				);
+				err.code = 'E_FAIL_DRY_CHALLENGE';
+				throw err;
+			});
+	}
+};
+
+// what each authoritative nameserver said, for the dns-01 dry run error
+// (the browser only has a DNS-over-HTTPS answer, so there's nothing to add)
+ACME._describeNameservers = function (ans) {
+	if (ans.error) {
+		return 'Could not check the nameservers: ' + ans.error.message + '\n';
+	}
+	return (ans.nameservers || [])
+		.map(function (ns) {
+			var said = ns.error
+				? ns.error
+				: (ns.rcode || 'NOERROR') +
+				  (ns.authoritative ? '' : ' (not authoritative)') +
+				  (ns.cname ? ' CNAME ' + ns.cname : '') +
+				  (ns.answer.length
+						? " TXT '" + ns.answer.join("', '") + "'"
+						: '');
+			return (
+				'\t' +
+				ns.nameserver +
+				' (' +
+				ns.address +
+				') for ' +
+				ns.name +
+				': ' +
+				said +
+				'\n'
+			);
+		})
+		.join('');
+};
+
+// returns what's wrong with the tls-alpn-01 response, if anything
+ACME._checkTlsAlpnCert = function (ch, result) {
+	if (result.error) {
+		return 'Could not connect: ' + result.error.message;
+	}
+	if ('acme-tls/1' !== result.alpnProtocol) {
+		return (
+			"Expected the 'acme-tls/1' protocol, but got '" +
+			(result.alpnProtocol || 'none') +
+			"'"
+		);
+	}
+
+	var cert;
+	try {
+		cert = C._parse(result.cert);
+	} catch (e) {
+		return 'Could not parse the certificate: ' + e.message;
+	}
+
+	// the SAN must be exactly the identifier being validated
+	var ip = U._isIp(ch.hostname);
+	var names = ip ? cert.ips : cert.altnames;
+	var others = ip ? cert.altnames : cert.ips;
+	if (
+		1 !== names.length ||
+		others.length ||
+		names[0].toLowerCase() !== ch.hostname.toLowerCase()
+	) {
+		return (
+			"Expected the certificate's only altname to be '" +
+			ch.hostname +
+			"', but got '" +
+			names.concat(others).join(', ') +
+			"'"
+		);
+	}
+
+	var ext = cert.extensions.filter(function (ext) {
+		return 'acmeIdentifier' === ext.name;
+	})[0];
+	// OCTET STRING (32 bytes) of the SHA-256 of the key authorization
+	var expected =
+		'0420' +
+		Enc.base64ToHex(Enc.urlBase64ToBase64(ch.keyAuthorizationDigest));
+	var got = ext && Enc.bufToHex(ext.value);
+	if (!ext || !ext.critical || expected !== got) {
+		return (
+			"Expected a critical acmeIdentifier extension with '" +
+			expected +
+			"', but got '" +
+			(got || 'none') +
+			"'" +
+			(ext && !ext.critical ? ' (not critical)' : '')
+		);
 	}
 };
 
@@ -216,18 +381,25 @@ ACME._getCertificate = function (me, options, kid) {
 		return ACME._finalizeOrder(me, options, kid, order);
 	});
 };
+// Prefer this order for efficiency:
+// * http-01 is the fasest
+// * tls-alpn-01 is for networks that don't allow plain traffic
+// * dns-01 is the slowest (due to DNS propagation),
+//   but is required for private networks and wildcards
+ACME._presenterTypes = function (presenters) {
+	var presenterTypes = Object.keys(presenters || {});
+	return ['http-01', 'tls-alpn-01', 'dns-01'].filter(function (typ) {
+		return -1 !== presenterTypes.indexOf(typ);
+	});
+};
+
 ACME._normalizePresenters = function (me, options, presenters) {
-	// Prefer this order for efficiency:
-	// * http-01 is the fasest
-	// * tls-alpn-01 is for networks that don't allow plain traffic
-	// * dns-01 is the slowest (due to DNS propagation),
-	//   but is required for private networks and wildcards
-	var presenterTypes = Object.keys(options.challenges || {});
-	options._presenterTypes = ['http-01', 'tls-alpn-01', 'dns-01'].filter(
-		function (typ) {
-			return -1 !== presenterTypes.indexOf(typ);
-		}
-	);
+	// challenges by domain are normalized once the domains are known
+	if (ACME._isRouted(presenters)) {
+		options._presenterTypes = [];
+		return;
+	}
+	options._presenterTypes = ACME._presenterTypes(presenters);
 	if (
 		presenters['dns-01'] &&
 		'number' !== typeof presenters['dns-01'].propagationDelay
@@ -238,7 +410,7 @@ ACME._normalizePresenters = function (me, options, presenters) {
 			);
 			err.code = 'E_NO_DNS_DELAY';
 			err.description =
-				"Each dns-01 challenge should specify challenges['dns-01'].propagationDelay as an estimate of how long DNS propagation will take.";
+				"Each dns-01 challenge should specify challenges['dns-01'].propagationDelay as the least time that DNS propagation will take (the records are checked until they're found, or until challenges['dns-01'].propagationTimeout).";
 			ACME._notify(me, options, 'warning', err);
 			presenters['dns-01'].propagationDelay = 5000;
 			ACME._propagationDelayWarning = true;
@@ -248,6 +420,14 @@ ACME._normalizePresenters = function (me, options, presenters) {
 		var ch = presenters[k];
 		var warned = false;
 
+		if (!(k in ACME._challengesMap)) {
+			throw new Error(
+				"unknown challenge type '" +
+					k +
+					"' (should be 'http-01', 'tls-alpn-01' or 'dns-01', or else a domain pattern such as '*.example.com')"
+			);
+		}
+
 		if (!ch.set || !ch.remove) {
 			throw new Error('challenge plugin must have set() and remove()');
 		}
@@ -261,12 +441,6 @@ ACME._normalizePresenters = function (me, options, presenters) {
 			}
 		}
 
-		if ('dns-01' === k) {
-			if (!ch.zones) {
-				console.warn('dns-01 challenge plugin should have zones()');
-			}
-		}
-
 		function warn() {
 			if (warned) {
 				return;
@@ -396,6 +570,112 @@ ACME._testChallengeOptions = function () {
 	];
 };
 
+// options.challenges is either by type, for every domain:
+//   { 'http-01': presenter, 'dns-01': presenter }
+// or by domain, as a map of patterns to those, or a function that returns one:
+//   { '*.internal.example': { 'dns-01': presenterA }, '*': { ... } }
+//   function (altname) { return { 'dns-01': presenterA }; }
+// (a domain pattern has a '.' or a '*', which a challenge type never does)
+ACME._isRouted = function (challenges) {
+	if ('function' === typeof challenges) {
+		return true;
+	}
+	return Object.keys(challenges || {}).some(function (key) {
+		return /[.*]/.test(key);
+	});
+};
+
+// 'example.com' matches only itself, '*.example.com' matches the wildcard and
+// any subdomain of example.com (the most specific wins), and '*' matches any
+ACME._matchRoute = function (routes, altname) {
+	var name = altname.toLowerCase();
+	if (routes[name]) {
+		return routes[name];
+	}
+	var labels = name.split('.').slice(1);
+	while (labels.length) {
+		var presenters = routes['*.' + labels.join('.')];
+		if (presenters) {
+			return presenters;
+		}
+		labels.shift();
+	}
+	return routes['*'];
+};
+
+// Once the domains are known, find the presenters for each of them
+ACME._routeChallenges = function (me, options) {
+	var challenges = options.challenges;
+	options._routes = null;
+	if (!ACME._isRouted(challenges)) {
+		return Promise.resolve();
+	}
+
+	var routes = {};
+	return Promise.all(
+		options.domains.map(function (altname) {
+			var presenters =
+				'function' === typeof challenges
+					? challenges(altname)
+					: ACME._matchRoute(challenges, altname);
+			return Promise.resolve(presenters).then(function (presenters) {
+				routes[altname] = presenters || {};
+			});
+		})
+	).then(function () {
+		var union = {};
+		var seen = [];
+		Object.keys(routes).forEach(function (altname) {
+			var presenters = routes[altname];
+			if (-1 === seen.indexOf(presenters)) {
+				seen.push(presenters);
+				ACME._normalizePresenters(me, options, presenters);
+			}
+			ACME._presenterTypes(presenters).forEach(function (typ) {
+				union[typ] = true;
+			});
+		});
+		options._routes = routes;
+		// every type that's used for any domain
+		options._presenterTypes = ACME._presenterTypes(union);
+	});
+};
+
+// the presenters (by type) for a domain
+ACME._presentersFor = function (options, altname) {
+	if (options._routes) {
+		return options._routes[altname] || {};
+	}
+	return options.challenges || {};
+};
+
+// the presenter for a challenge
+ACME._presenter = function (options, ch) {
+	return ACME._presentersFor(options, ch.altname)[ch.type];
+};
+
+// every presenter, once each, as [ { type, presenter } ]
+ACME._allPresenters = function (options) {
+	var all = [];
+	var maps = options._routes
+		? Object.keys(options._routes).map(function (altname) {
+				return options._routes[altname];
+		  })
+		: [options.challenges || {}];
+	maps.forEach(function (presenters) {
+		ACME._presenterTypes(presenters).forEach(function (typ) {
+			var presenter = presenters[typ];
+			var known = all.some(function (p) {
+				return p.presenter === presenter;
+			});
+			if (!known) {
+				all.push({ type: typ, presenter: presenter });
+			}
+		});
+	});
+	return all;
+};
+
 ACME._thumber = function (options, thumb) {
 	var thumbPromise;
 	return function (key) {
@@ -423,20 +703,80 @@ ACME._dryRun = function (me, realOptions, zonenames) {
 		noopts[key] = realOptions[key];
 	});
 	noopts.order = {};
+	// the real order will say what's going on
+	noopts.notify = function () {};
+
+	return ACME._dryRunClaims(me, noopts, zonenames).then(function (claims) {
+		var errors = {};
+		noopts._failedTypes = {};
+		noopts._passedTypes = {};
+
+		// Only one challenge of each domain needs to pass: try the most
+		// preferred, then the next one for any that failed, until each
+		// passes (or there are none left)
+		function attempt(claims) {
+			var p = ACME._dryRunAttempt(me, noopts, claims);
+			return p.then(function (result) {
+				result.passed.forEach(function (ch) {
+					noopts._passedTypes[ch.altname] = ch.type;
+				});
+				var retry = result.failures.map(function (failure) {
+					var ch = failure.challenge;
+					var failed = (noopts._failedTypes[ch.altname] =
+						noopts._failedTypes[ch.altname] || []);
+					failed.push(ch.type);
+					// the most preferred type's reason is the one to give
+					errors[ch.altname] = errors[ch.altname] || failure.error;
+
+					var claim = claims.filter(function (claim) {
+						var altname = ACME._untame(
+							claim.identifier.value,
+							claim.wildcard
+						);
+						return ch.altname === altname;
+					})[0];
+					if (!ACME._chooseChallenge(noopts, claim)) {
+						throw errors[ch.altname];
+					}
+					return claim;
+				});
+				if (retry.length) {
+					return attempt(retry);
+				}
+			});
+		}
 
+		return attempt(claims).then(function () {
+			// the real order uses what passed (and not what failed)
+			realOptions._passedTypes = noopts._passedTypes;
+			realOptions._failedTypes = noopts._failedTypes;
+		});
+	});
+};
+
+// An authorization (with fake tokens) for each domain, like the CA would give,
+// with the challenges that the dry run can check
+ACME._dryRunClaims = function (me, noopts, zonenames) {
 	// memoized so that it doesn't run until it's first called
 	var getThumbprint = ACME._thumber(noopts, '');
 
 	return Promise.all(
 		noopts.domains.map(function (identifierValue) {
-			// TODO we really only need one to pass, not all to pass
 			var challenges = ACME._testChallengeOptions();
+			var identifier = ACME._identifier(
+				identifierValue.replace(/^\*\./, '')
+			);
 			var wild = '*.' === identifierValue.slice(0, 2);
 			if (wild) {
 				challenges = challenges.filter(function (ch) {
 					return ch._wildcard;
 				});
 			}
+			if ('ip' === identifier.type) {
+				challenges = challenges.filter(function (ch) {
+					return 'dns-01' !== ch.type;
+				});
+			}
 			challenges = challenges.filter(function (auth) {
 				return me._canCheck[auth.type];
 			});
@@ -444,10 +784,7 @@ ACME._dryRun = function (me, realOptions, zonenames) {
 			return getThumbprint().then(function (accountKeyThumb) {
 				var resp = {
 					body: {
-						identifier: {
-							type: 'dns',
-							value: identifierValue.replace(/^\*\./, '')
-						},
+						identifier: identifier,
 						challenges: challenges,
 						expires: new Date(Date.now() + 60 * 1000).toISOString(),
 						wildcard: identifierValue.includes('*.') || undefined
@@ -470,70 +807,281 @@ ACME._dryRun = function (me, realOptions, zonenames) {
 				});
 			});
 		})
-	).then(function (claims) {
-		var selected = [];
-		noopts.order._claims = claims.slice(0);
-		noopts.notify = function (ev, params) {
-			if ('_challenge_select' === ev) {
-				selected.push(params.challenge);
+	);
+};
+
+// Set, check, and remove the chosen challenge of each claim, all at once,
+// resolving with { passed: [ challenge ], failures: [ { challenge, error } ] }
+ACME._dryRunAttempt = function (me, noopts, claims) {
+	var selected = [];
+	var failures = [];
+	var notify = noopts.notify;
+	noopts._dryRunFailures = failures;
+	noopts.order._claims = claims.slice(0);
+	noopts.notify = function (ev, params) {
+		if ('_challenge_select' === ev) {
+			selected.push(params.challenge);
+		}
+		notify(ev, params);
+	};
+
+	function clear() {
+		noopts.notify = notify;
+		selected.forEach(function (ch) {
+			ACME._notify(me, noopts, 'challenge_remove', {
+				altname: ch.altname,
+				type: ch.type
+				//challenge: ch
+			});
+			// ignore promise return
+			ACME._presenter(noopts, ch)
+				.remove({ challenge: ch })
+				.catch(function (err) {
+					err.action = 'challenge_remove';
+					err.altname = ch.altname;
+					err.type = ch.type;
+					ACME._notify(me, noopts, 'error', err);
+				});
+		});
+	}
+
+	return ACME._setChallenges(me, noopts, noopts.order).then(
+		function () {
+			clear();
+			var passed = selected.filter(function (ch) {
+				return !failures.some(function (failure) {
+					return ch === failure.challenge;
+				});
+			});
+			return { passed: passed, failures: failures };
+		},
+		function (err) {
+			clear();
+			throw err;
+		}
+	);
+};
+
+// The dry run on its own (no account or order with the CA is needed), of each
+// type that each domain has a presenter for, rather than only the preferred one.
+// Resolves with { altname: { type: { status, reason, error } } }, where the
+// status is 'passed', 'failed' (and why), or 'skipped' (and why)
+ACME._testChallenges = function (me, options) {
+	var noopts = {};
+	var report = {};
+	var dnsNames;
+
+	return Promise.resolve()
+		.then(function () {
+			if (!Array.isArray(options.domains) || !options.domains.length) {
+				throw new Error(
+					'options.domains must be a list of domain names (or IP addresses) to test'
+				);
+			}
+			if (!options.accountKey) {
+				throw new Error(
+					'options.accountKey must be given (for the key authorizations)'
+				);
+			}
+			if (!options.challenges) {
+				throw new Error('options.challenges must be specified');
 			}
-		};
 
-		function clear() {
-			selected.forEach(function (ch) {
-				ACME._notify(me, noopts, 'challenge_remove', {
-					altname: ch.altname,
-					type: ch.type
-					//challenge: ch
+			Object.keys(options).forEach(function (key) {
+				noopts[key] = options[key];
+			});
+			noopts.domains = options.domains.map(function (name) {
+				return ACME._identifier(name).value;
+			});
+			noopts.order = {};
+			// the same (public) events that a real order would give
+			noopts.notify = function (ev, params) {
+				var notify = options.notify || me.notify;
+				if (notify && '_' !== ev[0]) {
+					notify(ev, params);
+				}
+			};
+
+			ACME._normalizePresenters(me, noopts, noopts.challenges);
+			return ACME._routeChallenges(me, noopts);
+		})
+		.then(function () {
+			ACME._initPresenters(me, noopts);
+			// as init() would, but without fetching the directory
+			if (!me.skipChallengeTest && !Object.keys(me._canCheck).length) {
+				return native._canCheck(me);
+			}
+		})
+		.then(function () {
+			dnsNames = noopts.domains.filter(function (name) {
+				return !U._isIp(name);
+			});
+			return ACME._getDnsDelegations(me, noopts, dnsNames);
+		})
+		.then(function (delegations) {
+			noopts._dnsDelegations = delegations;
+			return ACME._getZones(me, noopts, dnsNames, delegations);
+		})
+		.then(function (zonenames) {
+			return ACME._dryRunClaims(me, noopts, zonenames);
+		})
+		.then(function (claims) {
+			var tests = [];
+
+			function skip(altname, typ, allowed) {
+				if (!ACME._presentersFor(noopts, altname)[typ]) {
+					return 'no ' + typ + ' challenge is given for this domain';
+				}
+				if ('dns-01' === typ && U._isIp(altname)) {
+					return "dns-01 can't be used for an IP address";
+				}
+				if ('dns-01' !== typ && '*.' === altname.slice(0, 2)) {
+					return 'wildcard domains can only use dns-01';
+				}
+				if (me.skipChallengeTest || !me._canCheck[typ]) {
+					return typ + " can't be checked from here";
+				}
+				if (-1 === allowed.indexOf(typ)) {
+					return 'not allowed by challengePolicy';
+				}
+			}
+
+			claims.forEach(function (claim) {
+				var altname = ACME._untame(
+					claim.identifier.value,
+					claim.wildcard
+				);
+				var order = ACME._challengeOrder(noopts, claim);
+				var allowed = order.map(function (ch) {
+					return ch.type;
 				});
-				// ignore promise return
-				noopts.challenges[ch.type]
-					.remove({ challenge: ch })
-					.catch(function (err) {
-						err.action = 'challenge_remove';
-						err.altname = ch.altname;
-						err.type = ch.type;
-						ACME._notify(me, noopts, 'error', err);
+				report[altname] = {};
+				noopts._presenterTypes.forEach(function (typ) {
+					var reason = skip(altname, typ, allowed);
+					if (reason) {
+						report[altname][typ] = {
+							status: 'skipped',
+							reason: reason
+						};
+						return;
+					}
+					// unless the check says otherwise
+					report[altname][typ] = { status: 'passed' };
+					// each challenge is checked as if it were its own domain
+					var test = {};
+					Object.keys(claim).forEach(function (key) {
+						test[key] = claim[key];
 					});
+					test.challenges = claim.challenges.filter(function (ch) {
+						return typ === ch.type;
+					});
+					tests.push(test);
+				});
 			});
-		}
+			if (!tests.length) {
+				return;
+			}
 
-		return ACME._setChallenges(me, noopts, noopts.order)
-			.catch(function (err) {
-				clear();
-				throw err;
-			})
-			.then(clear);
+			// what would be chosen is already decided
+			noopts.challengePolicy = null;
+			return ACME._dryRunAttempt(me, noopts, tests);
+		})
+		.then(function (result) {
+			// (including any that a presenter couldn't set)
+			var failures = result ? result.failures : [];
+			failures.forEach(function (failure) {
+				var ch = failure.challenge;
+				report[ch.altname][ch.type] = {
+					status: 'failed',
+					reason: failure.error.message,
+					error: failure.error
+				};
+			});
+			return report;
+		});
+};
+
+// The challenges to try for a domain, most preferred first: the ones that
+// are offered and have a presenter, in the order of options.challengePolicy,
+// which is either a list of types, or a function that returns one given
+// (authorization, challenges, presenters), otherwise the default order
+// (first the one that passed the dry run, less any that failed it)
+ACME._challengeOrder = function (options, authz) {
+	var altname = ACME._untame(authz.identifier.value, authz.wildcard);
+	var presenters = ACME._presentersFor(options, altname);
+	var offered = authz.challenges.filter(function (ch) {
+		return presenters[ch.type];
 	});
+
+	var policy = options.challengePolicy || options._presenterTypes;
+	var types =
+		'function' === typeof policy
+			? policy(authz, offered, presenters)
+			: policy;
+	if ('string' === typeof types) {
+		types = [types];
+	}
+	var failed = (options._failedTypes || {})[altname] || [];
+	var passed = (options._passedTypes || {})[altname];
+	if (passed) {
+		types = [passed].concat(types || []);
+	}
+
+	return (types || [])
+		.filter(function (typ, i) {
+			return -1 === failed.indexOf(typ) && i === types.indexOf(typ);
+		})
+		.map(function (typ) {
+			return offered.filter(function (ch) {
+				return ch.type === typ;
+			})[0];
+		})
+		.filter(Boolean);
 };
 
-// Get the list of challenge types we can validate,
-// which is already ordered by preference.
-// Select the first matching offered challenge type
+// Select the most preferred challenge
 ACME._chooseChallenge = function (options, results) {
-	// For each of the challenge types that we support
-	var challenge;
-	options._presenterTypes.some(function (chType) {
-		// And for each of the challenge types that are allowed
-		return results.challenges.some(function (ch) {
-			// Check to see if there are any matches
-			if (ch.type === chType) {
-				challenge = ch;
-				return true;
-			}
-		});
+	return ACME._challengeOrder(options, results)[0];
+};
+
+// The zones for the domains (and their delegation targets), from each
+// domain's dns-01 presenter
+ACME._getZones = function (me, options, domains, delegations) {
+	var groups = [];
+	domains.forEach(function (domain) {
+		var presenter = ACME._presentersFor(options, domain)['dns-01'];
+		if (!presenter) {
+			return;
+		}
+		var group = groups.filter(function (group) {
+			return presenter === group.presenter;
+		})[0];
+		if (!group) {
+			group = { presenter: presenter, domains: [] };
+			groups.push(group);
+		}
+		group.domains.push(domain);
+		var target = (delegations || {})[ACME._dnsAlias(domain)];
+		if (target) {
+			group.domains.push(target);
+		}
 	});
 
-	return challenge;
+	return Promise.all(
+		groups.map(function (group) {
+			return ACME._getPresenterZones(me, group.presenter, group.domains);
+		})
+	).then(function (lists) {
+		var zones = [].concat.apply([], lists);
+		return zones.filter(function (zone, i) {
+			return i === zones.indexOf(zone);
+		});
+	});
 };
 
-ACME._getZones = function (me, challenges, domains) {
-	var presenter = challenges['dns-01'];
-	if (!presenter) {
-		return Promise.resolve([]);
-	}
+ACME._getPresenterZones = function (me, presenter, domains) {
 	if ('function' !== typeof presenter.zones) {
-		return Promise.resolve([]);
+		return ACME._findZones(me, domains);
 	}
 
 	// a little bit of random to ensure that getZones()
@@ -551,6 +1099,68 @@ ACME._getZones = function (me, challenges, domains) {
 	return presenter.zones({ challenge: authChallenge });
 };
 
+// For plugins without zones(), find the zone of each domain with DNS instead
+ACME._findZones = function (me, domains) {
+	return Promise.all(
+		domains.map(function (domain) {
+			return me.dnsZone(domain.replace(/^\*\./, '')).catch(function () {
+				return null;
+			});
+		})
+	).then(function (zones) {
+		return zones.filter(function (zone, i) {
+			return zone && i === zones.indexOf(zone);
+		});
+	});
+};
+
+// ex: *.example.com => _acme-challenge.example.com
+ACME._dnsAlias = function (domain) {
+	return (
+		ACME.challengePrefixes['dns-01'] +
+		'.' +
+		domain.replace(/^\*\./, '').toLowerCase()
+	);
+};
+
+// Map each _acme-challenge name to the target of its CNAME (if any), from
+// options.dnsDelegation, which is either true (to look them up), a map of
+// { '_acme-challenge.example.com': 'example.acme.example.net' },
+// or a function (name) that returns the target (or a promise of it)
+ACME._getDnsDelegations = function (me, options, domains) {
+	var delegation = options.dnsDelegation;
+	var delegations = {};
+	if (!delegation) {
+		return Promise.resolve(delegations);
+	}
+
+	return Promise.all(
+		domains.map(function (domain) {
+			if (!ACME._presentersFor(options, domain)['dns-01']) {
+				return;
+			}
+			var alias = ACME._dnsAlias(domain);
+			var target;
+			if (true === delegation) {
+				target = me.dnsCname(alias);
+			} else if ('function' === typeof delegation) {
+				target = delegation(alias);
+			} else {
+				target = delegation[alias];
+			}
+			return Promise.resolve(target).then(function (target) {
+				if (target) {
+					delegations[alias] = target
+						.replace(/\.$/, '')
+						.toLowerCase();
+				}
+			});
+		})
+	).then(function () {
+		return delegations;
+	});
+};
+
 ACME._challengesMap = { 'http-01': 0, 'dns-01': 0, 'tls-alpn-01': 0 };
 ACME._computeAuths = function (me, options, thumb, authz, zonenames, dryrun) {
 	// we don't poison the dns cache with our dummy request
@@ -567,8 +1177,15 @@ ACME._computeAuths = function (me, options, thumb, authz, zonenames, dryrun) {
 	return Promise.all(
 		authz.challenges.map(function (challenge) {
 			// Don't do extra work for challenges that we can't satisfy
-			var _types = options._presenterTypes;
-			if (_types && !_types.includes(challenge.type)) {
+			var presenters = ACME._presentersFor(
+				options,
+				ACME._untame(authz.identifier.value, authz.wildcard)
+			);
+			if (!presenters[challenge.type]) {
+				return null;
+			}
+			// dns-01 is never valid for IP addresses
+			if ('ip' === authz.identifier.type && 'dns-01' === challenge.type) {
 				return null;
 			}
 
@@ -594,14 +1211,23 @@ ACME._computeAuths = function (me, options, thumb, authz, zonenames, dryrun) {
 			// have the leading *. in all cases
 			auth.altname = ACME._untame(auth.identifier.value, auth.wildcard);
 
-			var zone = pluckZone(zonenames || [], auth.identifier.value);
+			// _acme-challenge.example.com may be a CNAME to a zone of our own
+			// (the dry run uses it too, as it's the only name that's delegated)
+			var dnsTarget =
+				'dns-01' === auth.type &&
+				(options._dnsDelegations || {})[ACME._dnsAlias(auth.hostname)];
+			var zone = pluckZone(
+				zonenames || [],
+				dnsTarget || auth.identifier.value
+			);
 
 			return ACME.computeChallenge({
 				accountKey: options.accountKey,
 				_getThumbprint: getThumbprint,
 				challenge: auth,
 				zone: zone,
-				dnsPrefix: dnsPrefix
+				dnsPrefix: dnsPrefix,
+				dnsTarget: dnsTarget || undefined
 			}).then(function (resp) {
 				Object.keys(resp).forEach(function (k) {
 					auth[k] = resp[k];
@@ -636,12 +1262,35 @@ ACME.computeChallenge = function (opts) {
 			resp.challengeUrl =
 				'http://' +
 				// `hostname` is an alias of `auth.indentifier.value`
-				hostname +
+				// (and IPv6 addresses must be in [brackets])
+				(/:/.test(hostname) ? '[' + hostname + ']' : hostname) +
 				ACME.challengePrefixes['http-01'] +
 				'/' +
 				auth.token;
 		}
 
+		if ('tls-alpn-01' === auth.type) {
+			// the SNI for an IP address is its reverse-DNS name (RFC 8738)
+			resp.servername = U._isIp(hostname)
+				? U._ipToReverseName(hostname)
+				: hostname;
+
+			// the certificate and key to serve for the 'acme-tls/1' protocol,
+			// which carries the SHA-256 of the key authorization (RFC 8737)
+			return sha2.sum(256, resp.keyAuthorization).then(function (hash) {
+				var digest = Uint8Array.from(hash);
+				resp.keyAuthorizationDigest = Enc.bufToUrlBase64(digest);
+				return C._createTlsAlpnCert({
+					hostname: hostname,
+					digest: digest
+				}).then(function (pair) {
+					resp.alpnCert = pair.cert;
+					resp.alpnKey = pair.key;
+					return resp;
+				});
+			});
+		}
+
 		if ('dns-01' !== auth.type) {
 			return resp;
 		}
@@ -656,6 +1305,13 @@ ACME.computeChallenge = function (opts) {
 			})
 			.then(function (hash64) {
 				resp.dnsHost = dnsPrefix + '.' + hostname; // .replace('*.', '');
+				if (opts.dnsTarget) {
+					// the record is set at the target of the CNAME, but the ACME
+					// server (and the pre-flight) look it up by the alias
+					resp.dnsAlias =
+						ACME.challengePrefixes['dns-01'] + '.' + hostname;
+					resp.dnsHost = opts.dnsTarget.replace(/\.$/, '');
+				}
 
 				// deprecated
 				resp.dnsAuthorization = hash64;
@@ -683,10 +1339,9 @@ ACME._untame = function (name, wild) {
 
 // https://tools.ietf.org/html/draft-ietf-acme-acme-10#section-7.5.1
 ACME._postChallenge = function (me, options, kid, auth) {
-	var RETRY_INTERVAL = me.retryInterval || 1000;
 	var DEAUTH_INTERVAL = me.deauthWait || 10 * 1000;
-	var MAX_POLL = me.retryPoll || 8;
 	var MAX_PEND = me.retryPending || 4;
+	var deadline = ACME._pollDeadline(me);
 	var count = 0;
 
 	var altname = ACME._untame(auth.identifier.value, auth.wildcard);
@@ -724,16 +1379,6 @@ ACME._postChallenge = function (me, options, kid, auth) {
 	}
 
 	function pollStatus() {
-		if (count >= MAX_POLL) {
-			var err = new Error(
-				"[ACME.js] stuck in bad pending/processing state for '" +
-					altname +
-					"'"
-			);
-			err.context = 'present_challenge';
-			return Promise.reject(err);
-		}
-
 		count += 1;
 
 		//#console.debug('\n[DEBUG] statusChallenge\n');
@@ -756,27 +1401,46 @@ ACME._postChallenge = function (me, options, kid, auth) {
 			altname: altname
 		});
 
+		var status = resp.body.status;
+		if (
+			('pending' === status || 'processing' === status) &&
+			Date.now() >= deadline
+		) {
+			var err = new Error(
+				"[ACME.js] stuck in bad pending/processing state for '" +
+					altname +
+					"'"
+			);
+			err.code = 'E_POLL_TIMEOUT';
+			err.context = 'present_challenge';
+			return Promise.reject(err);
+		}
+
 		// State can be pending while waiting ACME server to transition to
 		// processing
-		if ('pending' === resp.body.status) {
+		if ('pending' === status) {
 			if (count >= MAX_PEND) {
-				return ACME._wait(RETRY_INTERVAL)
+				return ACME._wait(ACME._pollDelay(me, resp, count, deadline))
 					.then(deactivate)
 					.then(respondToChallenge);
 			}
 			//#console.debug('poll: again', auth.url);
-			return ACME._wait(RETRY_INTERVAL).then(pollStatus);
+			return ACME._wait(ACME._pollDelay(me, resp, count, deadline)).then(
+				pollStatus
+			);
 		}
 
-		if ('processing' === resp.body.status) {
+		if ('processing' === status) {
 			//#console.debug('poll: again', auth.url);
-			return ACME._wait(RETRY_INTERVAL).then(pollStatus);
+			return ACME._wait(ACME._pollDelay(me, resp, count, deadline)).then(
+				pollStatus
+			);
 		}
 
 		// REMOVE DNS records as soon as the state is non-processing
 		// (valid or invalid or other)
 		try {
-			options.challenges[auth.type]
+			ACME._presenter(options, auth)
 				.remove({ challenge: auth })
 				.catch(function (err) {
 					err.action = 'challenge_remove';
@@ -864,9 +1528,21 @@ ACME._setChallenges = function (me, options, order) {
 	var valids = [];
 	var auths = [];
 	var placed = [];
-	var USE_DNS = false;
 	var DNS_DELAY = 0;
 
+	// Everything that will be set for this order, for presenters that would
+	// rather show or handle them all at once (such as the manual presenter)
+	var selections = claims
+		.filter(function (claim) {
+			return !claim.challenges.some(function (ch) {
+				return 'valid' === ch.status;
+			});
+		})
+		.map(function (claim) {
+			return ACME._chooseChallenge(options, claim);
+		})
+		.filter(Boolean);
+
 	// Set any challenges, excpting ones that have already been validated
 	function setNext() {
 		var claim = claims.shift();
@@ -892,10 +1568,16 @@ ACME._setChallenges = function (me, options, order) {
 
 				var selected = ACME._chooseChallenge(options, claim);
 				if (!selected) {
+					var altname = ACME._untame(
+						claim.identifier.value,
+						claim.wildcard
+					);
 					throw E.NO_SUITABLE_CHALLENGE(
-						claim.altname,
+						altname,
 						claim.challenges,
-						options._presenterTypes
+						ACME._presenterTypes(
+							ACME._presentersFor(options, altname)
+						)
 					);
 				}
 				auths.push(selected);
@@ -919,22 +1601,43 @@ ACME._setChallenges = function (me, options, order) {
 					challenge: selected
 				});
 
+				var ch = ACME._presenter(options, selected) || {};
+
 				// Set a delay for nameservers a moment to propagate
+				// (the longest, if there's more than one dns-01 presenter)
 				if ('dns-01' === selected.type) {
-					if (options.challenges['dns-01'] && !USE_DNS) {
-						USE_DNS = true;
-						DNS_DELAY = parseInt(
-							options.challenges['dns-01'].propagationDelay,
-							10
-						);
-					}
+					DNS_DELAY = Math.max(
+						DNS_DELAY,
+						parseInt(ch.propagationDelay, 10) || 0
+					);
 				}
 
-				var ch = options.challenges[selected.type] || {};
 				if (!ch.set) {
 					throw new Error('no handler for setting challenge');
 				}
-				return ch.set({ challenge: selected });
+				return Promise.resolve()
+					.then(function () {
+						return ch.set({
+							challenge: selected,
+							// the others that this presenter will be given
+							challenges: selections.filter(function (other) {
+								return ch === ACME._presenter(options, other);
+							})
+						});
+					})
+					.catch(function (err) {
+						// the dry run fails just this one (and may fall back
+						// to another type), rather than all of them
+						if (!options._dryRunFailures) {
+							throw err;
+						}
+						auths.splice(auths.indexOf(selected), 1);
+						placed.splice(placed.indexOf(selected), 1);
+						options._dryRunFailures.push({
+							challenge: selected,
+							error: err
+						});
+					});
 			})
 			.then(setNext);
 	}
@@ -947,6 +1650,15 @@ ACME._setChallenges = function (me, options, order) {
 		return ACME._wait(DNS_DELAY);
 	}
 
+	// propagationDelay is only the minimum: keep checking until every
+	// authoritative nameserver has the TXT records (or it's time to give up)
+	function waitPropagation() {
+		if (!me._canCheck['dns-01'] || me.skipChallengeTest) {
+			return Promise.resolve();
+		}
+		return ACME._waitForPropagation(me, options, auths);
+	}
+
 	function checkNext() {
 		var auth = auths.shift();
 		if (!auth) {
@@ -963,11 +1675,18 @@ ACME._setChallenges = function (me, options, order) {
 			.then(function () {
 				valids.push(auth);
 			})
+			.catch(function (err) {
+				// the dry run may fall back to another type
+				if (!options._dryRunFailures) {
+					throw err;
+				}
+				options._dryRunFailures.push({ challenge: auth, error: err });
+			})
 			.then(checkNext);
 	}
 
 	function removeAll(ch) {
-		options.challenges[ch.type]
+		ACME._presenter(options, ch)
 			.remove({ challenge: ch })
 			.catch(function (err) {
 				err.action = 'challenge_remove';
@@ -981,6 +1700,7 @@ ACME._setChallenges = function (me, options, order) {
 	// is so that we don't poison our own DNS cache with misses.
 	return setNext()
 		.then(waitAll)
+		.then(waitPropagation)
 		.then(checkNext)
 		.catch(function (err) {
 			if (!options.debug) {
@@ -990,6 +1710,65 @@ ACME._setChallenges = function (me, options, order) {
 		});
 };
 
+// Poll for each dns-01 record until it's served or the presenter's
+// propagationTimeout (default: 2 minutes) passes, at which point the dry run
+// (or the ACME server) will say what's missing
+ACME._waitForPropagation = function (me, options, auths) {
+	var start = Date.now();
+
+	function poll(ch, count, deadline) {
+		return me
+			.dns01(ch)
+			.catch(function (err) {
+				return { answer: [], error: err };
+			})
+			.then(function (ans) {
+				var found = ans.answer.some(function (txt) {
+					return ch.dnsAuthorization === txt.data[0];
+				});
+				ACME._notify(me, options, 'challenge_propagation', {
+					altname: ch.altname,
+					type: ch.type,
+					dnsHost: ch.dnsHost,
+					propagated: found,
+					attempts: count,
+					elapsed: Date.now() - start,
+					nameservers: (ans.nameservers || []).map(function (ns) {
+						return {
+							nameserver: ns.nameserver,
+							address: ns.address,
+							propagated:
+								-1 !== ns.answer.indexOf(ch.dnsAuthorization)
+						};
+					})
+				});
+				if (found || Date.now() >= deadline) {
+					return found;
+				}
+				return ACME._wait(
+					ACME._pollDelay(me, {}, count, deadline)
+				).then(function () {
+					return poll(ch, count + 1, deadline);
+				});
+			});
+	}
+
+	return Promise.all(
+		auths
+			.filter(function (ch) {
+				return 'dns-01' === ch.type;
+			})
+			.map(function (ch) {
+				var presenter = ACME._presenter(options, ch) || {};
+				var timeout =
+					'number' === typeof presenter.propagationTimeout
+						? presenter.propagationTimeout
+						: 2 * 60 * 1000;
+				return poll(ch, 1, start + timeout);
+			})
+	);
+};
+
 ACME._presentChallenges = function (me, options, kid, readyToPresent) {
 	// Actually sets the challenge via ACME
 	function challengeNext() {
@@ -1012,6 +1791,8 @@ ACME._pollOrderStatus = function (me, options, kid, order, verifieds) {
 	var csr64 = ACME._csrToUrlBase64(options.csr);
 	var body = { csr: csr64 };
 	var payload = JSON.stringify(body);
+	var deadline = ACME._pollDeadline(me);
+	var count = 0;
 
 	function processResponse(resp) {
 		ACME._notify(me, options, 'certificate_status', {
@@ -1029,7 +1810,15 @@ ACME._pollOrderStatus = function (me, options, kid, order, verifieds) {
 		}
 
 		if ('processing' === resp.body.status) {
-			return ACME._wait().then(pollStatus);
+			if (Date.now() >= deadline) {
+				return Promise.reject(
+					E.ORDER_TIMEOUT(options, verifieds, resp)
+				);
+			}
+			count += 1;
+			return ACME._wait(ACME._pollDelay(me, resp, count, deadline)).then(
+				pollStatus
+			);
 		}
 
 		if (me.debug) {
@@ -1096,32 +1885,350 @@ ACME._pollOrderStatus = function (me, options, kid, order, verifieds) {
 ACME._redeemCert = function (me, options, kid, voucher) {
 	//#console.debug('ACME.js: order was finalized');
 
-	// POST-as-GET
-	return U._jwsRequest(me, {
-		accountKey: options.accountKey,
-		url: voucher._certificateUrl,
-		protected: { kid: kid },
-		payload: Enc.binToBuf(''),
-		json: true
-	}).then(function (resp) {
-		//#console.debug('ACME.js: csr submitted and cert received:');
-
-		// https://github.com/certbot/certbot/issues/5721
-		var certsarr = ACME.splitPemChain(ACME.formatPemChain(resp.body || ''));
-		//  cert, chain, fullchain, privkey, /*TODO, subject, altnames, issuedAt, expiresAt */
-		var certs = {
-			expires: voucher.expires,
-			identifiers: voucher.identifiers,
-			//, authorizations: order.authorizations
-			cert: certsarr.shift(),
-			//, privkey: privkeyPem
-			chain: certsarr.join('\n')
-		};
-		//#console.debug(certs);
-		return certs;
+	function download(url) {
+		// POST-as-GET
+		return U._jwsRequest(me, {
+			accountKey: options.accountKey,
+			url: url,
+			protected: { kid: kid },
+			payload: Enc.binToBuf(''),
+			json: true
+		}).then(function (resp) {
+			//#console.debug('ACME.js: csr submitted and cert received:');
+
+			// https://github.com/certbot/certbot/issues/5721
+			var certsarr = ACME.splitPemChain(
+				ACME.formatPemChain(resp.body || '')
+			);
+			//  cert, chain, fullchain, privkey, /*TODO, subject, altnames, issuedAt, expiresAt */
+			var certs = {
+				expires: voucher.expires,
+				identifiers: voucher.identifiers,
+				//, authorizations: order.authorizations
+				cert: certsarr.shift(),
+				//, privkey: privkeyPem
+				chain: certsarr.join('\n')
+			};
+			//#console.debug(certs);
+			return { resp: resp, certs: certs };
+		});
+	}
+
+	return download(voucher._certificateUrl).then(function (result) {
+		if (!options.preferredChain) {
+			return result.certs;
+		}
+
+		// Link: <https://example.com/acme/cert/mAt3xBGaobw/1>;rel="alternate"
+		var chains = [result.certs];
+		var urls = U._parseLinks(
+			result.resp,
+			'alternate',
+			voucher._certificateUrl
+		).map(function (link) {
+			return link.url;
+		});
+
+		// serially, like everything else
+		function getNext() {
+			var url = urls.shift();
+			if (!url) {
+				return Promise.resolve(chains);
+			}
+			return download(url).then(function (alt) {
+				chains.push(alt.certs);
+				return getNext();
+			});
+		}
+
+		return getNext().then(function () {
+			return ACME._chooseChain(me, options, chains);
+		});
+	});
+};
+
+// Pick the chain whose topmost certificate was issued by the preferred issuer
+// (by Common Name), or which the preferredChain function selects
+ACME._chooseChain = function (me, options, chains) {
+	var preferred = options.preferredChain;
+
+	chains.forEach(function (certs) {
+		certs.issuers = [certs.cert]
+			.concat(certs.chain ? ACME.splitPemChain(certs.chain) : [])
+			.map(function (pem) {
+				try {
+					return C._parse(pem).issuer.commonName;
+				} catch (e) {
+					return null;
+				}
+			});
+		certs.issuer = certs.issuers[certs.issuers.length - 1];
+	});
+
+	var chosen = chains.filter(function (certs) {
+		if ('function' === typeof preferred) {
+			return preferred(certs);
+		}
+		return preferred === certs.issuer;
+	})[0];
+	// otherwise the first chain with that issuer anywhere in it
+	if (!chosen && 'string' === typeof preferred) {
+		chosen = chains.filter(function (certs) {
+			return -1 !== certs.issuers.indexOf(preferred);
+		})[0];
+	}
+	if (!chosen) {
+		var err = new Error(
+			"none of the offered certificate chains match the preferredChain '" +
+				preferred +
+				"', using the default chain (issued by '" +
+				chains[0].issuer +
+				"')"
+		);
+		err.code = 'E_NO_PREFERRED_CHAIN';
+		ACME._notify(me, options, 'warning', err);
+		chosen = chains[0];
+	}
+
+	var certs = {};
+	Object.keys(chosen).forEach(function (k) {
+		certs[k] = chosen[k];
+	});
+	// the default chain is first
+	certs.alternates = chains;
+	return certs;
+};
+
+// ACME Renewal Information (ARI)
+// https://datatracker.ietf.org/doc/html/rfc9773#section-4.1
+// certID = base64url(authorityKeyIdentifier) "." base64url(serialNumber)
+ACME._renewalInfoId = function (cert) {
+	// already a certificate id
+	if ('string' === typeof cert && /^[\w\-]+\.[\w\-]+$/.test(cert)) {
+		return cert;
+	}
+	var info = C._parse(cert);
+	if (!info.authorityKeyIdentifier) {
+		throw new Error(
+			'certificate has no Authority Key Identifier, so it has no ARI certificate id'
+		);
+	}
+	return (
+		Enc.bufToUrlBase64(Enc.hexToBuf(info.authorityKeyIdentifier)) +
+		'.' +
+		// the serial is the DER integer, which may have a leading 00
+		Enc.bufToUrlBase64(Enc.hexToBuf(info.serialNumber))
+	);
+};
+
+/*
+ GET /renewal-info/aYhba4dGQEHhs3uEe6CuLN4ByNQ.AIdlQyE HTTP/1.1
+ Host: acme.example.com
+
+ HTTP/1.1 200 OK
+ Content-Type: application/json
+ Retry-After: 21600
+
+ {
+   "suggestedWindow": {
+     "start": "2025-01-02T04:00:00Z",
+     "end": "2025-01-03T04:00:00Z"
+   },
+   "explanationURL": "https://acme.example.com/docs/ari"
+ }
+*/
+ACME._getRenewalInfo = function (me, options) {
+	return Promise.resolve().then(function () {
+		var err;
+		var url = me._directoryUrls.renewalInfo;
+		if (!url) {
+			err = new Error(
+				"the ACME server's directory does not list `renewalInfo` (ARI is not supported)"
+			);
+			err.code = 'E_NO_RENEWAL_INFO';
+			throw err;
+		}
+
+		var certId = ACME._renewalInfoId(options.cert);
+		if (!me._renewalInfo) {
+			me._renewalInfo = {};
+		}
+
+		// Don't ask again until the server says it's ok to
+		var cached = me._renewalInfo[certId];
+		if (cached && cached.retryAfter.valueOf() > Date.now()) {
+			return cached;
+		}
+
+		// GET-as-GET ok
+		return U._request(me, {
+			method: 'GET',
+			url: url.replace(/\/$/, '') + '/' + certId,
+			json: true
+		}).then(function (resp) {
+			var body = resp.body || {};
+			var win = body.suggestedWindow;
+			if (resp.statusCode >= 400 || !win || !win.start || !win.end) {
+				err = new Error(
+					"renewal info error for '" +
+						certId +
+						"': " +
+						resp.statusCode +
+						' ' +
+						JSON.stringify(body)
+				);
+				err.code = 'E_RENEWAL_INFO';
+				throw err;
+			}
+
+			var start = new Date(win.start);
+			var end = new Date(win.end);
+			// The server should say when to check again,
+			// but if it doesn't, check again in 6 hours
+			var retryAfter = U._retryAfter(resp);
+			if (undefined === retryAfter) {
+				retryAfter = 6 * 60 * 60 * 1000;
+			}
+
+			var info = {
+				certId: certId,
+				suggestedWindow: { start: start, end: end },
+				// a random time within the window, as the spec recommends
+				renewAt: new Date(
+					start.valueOf() + Math.random() * Math.max(0, end - start)
+				),
+				explanationURL: body.explanationURL,
+				retryAfter: new Date(Date.now() + retryAfter)
+			};
+			me._renewalInfo[certId] = info;
+			return info;
+		});
 	});
 };
 
+// https://tools.ietf.org/html/rfc5280#section-5.3.1
+ACME.revocationReasons = {
+	unspecified: 0,
+	keyCompromise: 1,
+	cACompromise: 2,
+	affiliationChanged: 3,
+	superseded: 4,
+	cessationOfOperation: 5,
+	certificateHold: 6,
+	// 7 is not used
+	removeFromCRL: 8,
+	privilegeWithdrawn: 9,
+	aACompromise: 10
+};
+
+/*
+ POST /acme/revoke-cert HTTP/1.1
+ Host: example.com
+ Content-Type: application/jose+json
+
+ {
+   "protected": base64url({
+     "alg": "ES256",
+     "kid": "https://example.com/acme/acct/1", // or "jwk" for the certificate key
+     "nonce": "JHb54aT_KTXBWQOzGYkt9A",
+     "url": "https://example.com/acme/revoke-cert"
+   }),
+   "payload": base64url({
+     "certificate": "MIIEDTCCAvegAwIBAgIRAP8...",
+     "reason": 4
+   }),
+   "signature": "Q1bURgJoEslbD1c5...3pYdSMLio57mQNN4"
+ }
+*/
+ACME._revokeCert = function (me, options) {
+	return Promise.resolve()
+		.then(function () {
+			if (!options.cert) {
+				throw new Error(
+					'no `cert` option given (should be in PEM or DER format)'
+				);
+			}
+
+			var body = { certificate: ACME._certToUrlBase64(options.cert) };
+			var reason = options.reason;
+			if ('string' === typeof reason) {
+				reason = ACME.revocationReasons[reason];
+			}
+			var codes = Object.keys(ACME.revocationReasons).map(function (k) {
+				return ACME.revocationReasons[k];
+			});
+			if (undefined !== options.reason) {
+				if (-1 === codes.indexOf(reason)) {
+					throw new Error(
+						"invalid revocation `reason` '" +
+							options.reason +
+							"' (should be one of the RFC 5280 reason codes, ex: 'keyCompromise' or 1)"
+					);
+				}
+				body.reason = reason;
+			}
+			var payload = Enc.strToBuf(JSON.stringify(body));
+
+			// The certificate key can always revoke its own certificate
+			// (self-signed, much like new-account)
+			if (options.serverKey) {
+				return U._importKeypair(options.serverKey).then(function (
+					pair
+				) {
+					return U._jwsRequest(me, {
+						accountKey: pair.private,
+						url: me._directoryUrls.revokeCert,
+						protected: { kid: false, jwk: pair.public },
+						payload: payload
+					});
+				});
+			}
+
+			return A._getExistingKid(me, options).then(function (kid) {
+				return U._jwsRequest(me, {
+					accountKey: options.accountKey,
+					url: me._directoryUrls.revokeCert,
+					protected: { kid: kid },
+					payload: payload
+				});
+			});
+		})
+		.catch(function (e) {
+			if (/alreadyRevoked$/.test(e.urn)) {
+				throw E.ALREADY_REVOKED(e);
+			}
+			if (/unauthorized$/.test(e.urn)) {
+				throw E.REVOKE_UNAUTHORIZED(e);
+			}
+			throw e;
+		})
+		.then(function (resp) {
+			// only 400s are transformed into errors by U._request,
+			// but 'unauthorized' comes back as a 403
+			if (resp.statusCode >= 400) {
+				var e = {
+					urn: resp.body && resp.body.type,
+					detail: resp.body && resp.body.detail,
+					message: JSON.stringify(resp.body)
+				};
+				if (/unauthorized$/.test(e.urn)) {
+					throw E.REVOKE_UNAUTHORIZED(e);
+				}
+				var err = new Error(
+					'certificate revocation error: ' +
+						resp.statusCode +
+						' ' +
+						e.message
+				);
+				err.code = 'E_ACME';
+				err.urn = e.urn;
+				throw err;
+			}
+
+			return true;
+		});
+};
+
 ACME._finalizeOrder = function (me, options, kid, order) {
 	//#console.debug('[ACME.js] finalizeOrder:');
 	var readyToPresent;
@@ -1155,18 +2262,38 @@ ACME._finalizeOrder = function (me, options, kid, order) {
 
 // Order a certificate request with all domains
 ACME._orderCert = function (me, options, kid) {
-	var certificateRequest = {
-		// raw wildcard syntax MUST be used here
-		identifiers: options.domains.map(function (hostname) {
-			return { type: 'dns', value: hostname };
-		})
-		//, "notBefore": "2016-01-01T00:00:00Z"
-		//, "notAfter": "2016-01-08T00:00:00Z"
-	};
+	var certificateRequest;
+	var dnsNames;
 
 	return ACME._prepRequest(me, options)
 		.then(function () {
-			return ACME._getZones(me, options.challenges, options.domains);
+			certificateRequest = {
+				// raw wildcard syntax MUST be used here
+				identifiers: options.domains.map(ACME._identifier)
+			};
+			// ex: "2016-01-01T00:00:00Z" (most CAs don't support these)
+			if (options._notBefore) {
+				certificateRequest.notBefore = options._notBefore;
+			}
+			if (options._notAfter) {
+				certificateRequest.notAfter = options._notAfter;
+			}
+			if (options.replaces) {
+				// the ARI certificate id of the certificate that this will replace
+				certificateRequest.replaces = ACME._renewalInfoId(
+					options.replaces
+				);
+			}
+
+			dnsNames = options.domains.filter(function (name) {
+				return !U._isIp(name);
+			});
+			return ACME._getDnsDelegations(me, options, dnsNames);
+		})
+		.then(function (delegations) {
+			options._dnsDelegations = delegations;
+			// the zones of the delegation targets are needed too
+			return ACME._getZones(me, options, dnsNames, delegations);
 		})
 		.then(function (zonenames) {
 			var p;
@@ -1195,6 +2322,8 @@ ACME._orderCert = function (me, options, kid) {
 							url: me._directoryUrls.newOrder,
 							protected: { kid: kid },
 							payload: Enc.binToBuf(payload)
+						}).catch(function (e) {
+							throw ACME._orderError(certificateRequest, e);
 						});
 					})
 					.then(function (resp) {
@@ -1229,10 +2358,34 @@ ACME._orderCert = function (me, options, kid) {
 		});
 };
 
+// A CA that doesn't support custom validity periods rejects the order as
+// malformed, but then so would it for other problems (such as identifiers),
+// and so it's only said to be the validity period if the detail says so
+ACME._orderError = function (request, e) {
+	var custom = request.notBefore || request.notAfter;
+	var dates = /not\s*before|not\s*after|validity/i.test(e.detail || '');
+	if (custom && dates && /malformed$/.test(e.urn)) {
+		return E.CUSTOM_VALIDITY(request, e);
+	}
+	return e;
+};
+
+// IP addresses are 'ip' identifiers (RFC 8738), everything else is 'dns'
+ACME._identifier = function (name) {
+	if (U._isIp(name)) {
+		return { type: 'ip', value: U._bytesToIp(U._ipToBytes(name)) };
+	}
+	return { type: 'dns', value: name };
+};
+
 ACME._prepRequest = function (me, options) {
 	return Promise.resolve().then(function () {
 		// TODO check that all presenterTypes are represented in challenges
-		if (!options._presenterTypes.length) {
+		// (challenges by domain are checked once they're routed, below)
+		if (
+			!options._presenterTypes.length &&
+			!ACME._isRouted(options.challenges)
+		) {
 			return Promise.reject(
 				new Error('options.challenges must be specified')
 			);
@@ -1244,18 +2397,24 @@ ACME._prepRequest = function (me, options) {
 			);
 		}
 		// TODO validate csr signature?
-		var _csr = CSR._info(options.csr);
-		options.domains = options.domains || _csr.altnames;
-		_csr.altnames = _csr.altnames || [];
+		var _csr = C._parseCsr(options.csr);
+		// IP addresses are compared in their canonical form
+		var altnames = _csr.altnames.concat(_csr.ips);
+		options.domains = (options.domains || altnames).map(function (name) {
+			return ACME._identifier(name).value;
+		});
 		if (
 			options.domains.slice(0).sort().join(' ') !==
-			_csr.altnames.slice(0).sort().join(' ')
+			altnames.slice(0).sort().join(' ')
 		) {
 			return Promise.reject(
 				new Error('certificate altnames do not match requested domains')
 			);
 		}
-		if (_csr.subject !== options.domains[0]) {
+		var subject = _csr.subject.commonName;
+		// an IP-only certificate need not have a commonName
+		var noSubject = !subject && U._isIp(options.domains[0]);
+		if (!noSubject && subject !== options.domains[0]) {
 			return Promise.reject(
 				new Error(
 					'certificate subject (commonName) does not match first altname (SAN)'
@@ -1271,6 +2430,50 @@ ACME._prepRequest = function (me, options) {
 			);
 		}
 
+		// custom validity periods, as Dates or ISO strings
+		['notBefore', 'notAfter'].forEach(function (key) {
+			if (!options[key]) {
+				return;
+			}
+			var d = new Date(options[key]);
+			if (isNaN(d.valueOf())) {
+				throw new Error(
+					'`' +
+						key +
+						"` must be a Date or an ISO date string, not '" +
+						options[key] +
+						"'"
+				);
+			}
+			// RFC 3339, without the needless milliseconds
+			options['_' + key] = d.toISOString().replace(/\.000Z$/, 'Z');
+		});
+		if (
+			options._notBefore &&
+			options._notAfter &&
+			new Date(options._notAfter) <= new Date(options._notBefore)
+		) {
+			throw new Error(
+				'`notAfter` (' +
+					options._notAfter +
+					') must be later than `notBefore` (' +
+					options._notBefore +
+					')'
+			);
+		}
+
+		var policy = options.challengePolicy;
+		if (
+			policy &&
+			'function' !== typeof policy &&
+			!Array.isArray(policy) &&
+			'string' !== typeof policy
+		) {
+			throw new Error(
+				'`challengePolicy` must be a list of challenge types (most preferred first), or a function that returns one'
+			);
+		}
+
 		// a cheap check to see if there are non-ascii characters in any of the domains
 		var nonAsciiDomains = options.domains.some(function (d) {
 			// IDN / unicode / utf-8 / punycode
@@ -1282,20 +2485,60 @@ ACME._prepRequest = function (me, options) {
 			);
 		}
 
-		// TODO Promise.all()?
-		(options._presenterTypes || []).forEach(function (key) {
-			var presenter = options.challenges[key];
-			if (
-				'function' === typeof presenter.init &&
-				!presenter._acme_initialized
-			) {
-				presenter._acme_initialized = true;
-				return presenter.init({ type: '*', request: me.request });
-			}
+		return ACME._routeChallenges(me, options).then(function () {
+			ACME._checkPresenters(options);
+			ACME._initPresenters(me, options);
 		});
 	});
 };
 
+// Every domain must have a presenter that can be used for it
+ACME._checkPresenters = function (options) {
+	if (!options._presenterTypes.length) {
+		throw new Error('options.challenges must be specified');
+	}
+	options.domains.forEach(function (altname) {
+		var types = ACME._presenterTypes(ACME._presentersFor(options, altname));
+		if (!types.length) {
+			throw new Error(
+				"options.challenges has no challenges for '" + altname + "'"
+			);
+		}
+	});
+
+	// dns-01 can't be used to validate an IP address
+	var ips = options.domains.filter(function (altname) {
+		var types = ACME._presenterTypes(ACME._presentersFor(options, altname));
+		return (
+			U._isIp(altname) &&
+			types.every(function (typ) {
+				return 'dns-01' === typ;
+			})
+		);
+	});
+	if (ips.length) {
+		throw E.NO_SUITABLE_CHALLENGE(
+			ips.join(', '),
+			[{ type: 'http-01' }, { type: 'tls-alpn-01' }],
+			ACME._presenterTypes(ACME._presentersFor(options, ips[0]))
+		);
+	}
+};
+
+ACME._initPresenters = function (me, options) {
+	// TODO Promise.all()?
+	ACME._allPresenters(options).forEach(function (p) {
+		var presenter = p.presenter;
+		if (
+			'function' === typeof presenter.init &&
+			!presenter._acme_initialized
+		) {
+			presenter._acme_initialized = true;
+			return presenter.init({ type: '*', request: me.request });
+		}
+	});
+};
+
 // Request a challenge for each authorization in the order
 ACME._getAllChallenges = function (me, options, kid, zonenames, order) {
 	var claims = [];
@@ -1344,6 +2587,14 @@ ACME.splitPemChain = function splitPemChain(str) {
 		});
 };
 
+ACME._certToUrlBase64 = function (cert) {
+	// only the leaf certificate, if given a fullchain
+	if ('string' === typeof cert && '-' === cert.trim()[0]) {
+		cert = ACME.splitPemChain(ACME.formatPemChain(cert))[0].trim();
+	}
+	return ACME._csrToUrlBase64(cert);
+};
+
 ACME._csrToUrlBase64 = function (csr) {
 	// if der, convert to base64
 	if ('string' !== typeof csr) {
@@ -1387,10 +2638,41 @@ ACME._notify = function (me, options, ev, params) {
 
 ACME._wait = function wait(ms) {
 	return new Promise(function (resolve) {
-		setTimeout(resolve, ms || 1100);
+		setTimeout(resolve, 'number' === typeof ms ? ms : 1100);
 	});
 };
 
+// Polling gives up at the deadline rather than after a fixed number of tries,
+// because large orders on a busy CA can take a while (default: 5 minutes)
+// (the deprecated `retryPoll`, a number of tries, is the time those would take)
+ACME._pollDeadline = function (me) {
+	var timeout = me.retryTimeout;
+	var count;
+	if (!timeout && me.retryPoll) {
+		timeout = 0;
+		for (count = 1; count <= me.retryPoll; count += 1) {
+			timeout += ACME._pollBackoff(me, count);
+		}
+	}
+	return Date.now() + (timeout || 5 * 60 * 1000);
+};
+
+// Wait as long as the server asks (Retry-After), otherwise back off
+// exponentially (1s, 2s, 4s, 8s, 10s, 10s, ...), but never past the deadline
+ACME._pollDelay = function (me, resp, count, deadline) {
+	var ms = U._retryAfter(resp);
+	if (undefined === ms) {
+		ms = ACME._pollBackoff(me, count);
+	}
+	return Math.max(0, Math.min(ms, deadline - Date.now()));
+};
+
+ACME._pollBackoff = function (me, count) {
+	var interval = me.retryInterval || 1000;
+	var max = me.retryMaxInterval || 10 * 1000;
+	return Math.min(interval * Math.pow(2, Math.max(0, count - 1)), max);
+};
+
 function newZoneRegExp(zonename) {
 	// (^|\.)example\.com$
 	// which matches:
@@ -0,0 +1,344 @@
+'use strict';
+
+var C = module.exports;
+
+var Enc = require('@root/encoding/base64');
+require('@root/encoding/hex');
+var ASN1 = require('@root/asn1/packer'); // DER, actually
+var Asn1 = ASN1.Any;
+var UInt = ASN1.UInt;
+var BitStr = ASN1.BitStr;
+var Keypairs = require('@root/keypairs');
+var U = require('./utils.js');
+
+// Just enough of an X.509 certificate reader to inspect the things that ACME
+// cares about (issuers, altnames, serial, key ids, validity, extensions).
+//
+// This walks the DER directly rather than using a general-purpose ASN.1 parser
+// because strings (such as a Common Name) can sometimes look just enough like
+// nested ASN.1 to be mistaken for it.
+
+C._oids = {
+	// 2.5.4.x X.520 DN components
+	550403: 'commonName',
+	550406: 'countryName',
+	550407: 'localityName',
+	550408: 'stateOrProvinceName',
+	'55040a': 'organizationName',
+	'55040b': 'organizationalUnitName',
+	// 2.5.29.x X.509 extensions
+	'551d11': 'subjectAltName',
+	'551d13': 'basicConstraints',
+	'551d23': 'authorityKeyIdentifier',
+	// 1.3.6.1.5.5.7.1.31 id-pe-acmeIdentifier (RFC 8737)
+	'2b0601050507011f': 'acmeIdentifier',
+	// 1.2.840.113549.1.9.14 extensionRequest (PKCS #9 via CRMF)
+	'2a864886f70d01090e': 'extensionRequest'
+};
+
+// Read the tag and length at `index`, and point to the value
+C._read = function (der, index) {
+	var node = { tag: der[index], start: index };
+	var len = der[index + 1];
+	var offset = index + 2;
+	if (0x80 & len) {
+		var lenlen = 0x7f & len;
+		len = 0;
+		while (lenlen) {
+			len = len * 256 + der[offset];
+			offset += 1;
+			lenlen -= 1;
+		}
+	}
+	node.offset = offset;
+	node.length = len;
+	node.end = offset + len;
+	if (node.end > der.length || isNaN(node.end)) {
+		throw new Error('certificate parse error: unexpected end of DER');
+	}
+	return node;
+};
+
+C._children = function (der, node) {
+	var children = [];
+	var index = node.offset;
+	while (index < node.end) {
+		var child = C._read(der, index);
+		children.push(child);
+		index = child.end;
+	}
+	return children;
+};
+
+C._value = function (der, node) {
+	return der.slice(node.offset, node.end);
+};
+
+C._toDer = function (cert) {
+	if ('string' === typeof cert) {
+		// only the first certificate, if given a chain
+		var b64 = cert
+			.trim()
+			.split(/-----END[^-]*-----/)[0]
+			.replace(/-----[^-]*-----/g, '')
+			.replace(/\s+/g, '');
+		return Uint8Array.from(Enc.base64ToBuf(Enc.urlBase64ToBase64(b64)));
+	}
+	return Uint8Array.from(cert);
+};
+
+C._parseName = function (der, node) {
+	var name = {};
+	// Name ::= SEQUENCE OF SET OF SEQUENCE { type OID, value ANY }
+	C._children(der, node).forEach(function (set) {
+		C._children(der, set).forEach(function (attr) {
+			var parts = C._children(der, attr);
+			var oid = Enc.bufToHex(C._value(der, parts[0]));
+			var key = C._oids[oid] || oid;
+			name[key] = Enc.bufToStr(C._value(der, parts[1]));
+		});
+	});
+	return name;
+};
+
+C._parseTime = function (der, node) {
+	var str = Enc.bufToStr(C._value(der, node));
+	// UTCTime is YYMMDDHHMMSSZ, GeneralizedTime is YYYYMMDDHHMMSSZ
+	if (0x17 === node.tag) {
+		str = (parseInt(str.slice(0, 2), 10) < 50 ? '20' : '19') + str;
+	}
+	return new Date(
+		Date.UTC(
+			parseInt(str.slice(0, 4), 10),
+			parseInt(str.slice(4, 6), 10) - 1,
+			parseInt(str.slice(6, 8), 10),
+			parseInt(str.slice(8, 10), 10),
+			parseInt(str.slice(10, 12), 10),
+			parseInt(str.slice(12, 14), 10)
+		)
+	);
+};
+
+// Extensions ::= SEQUENCE OF SEQUENCE { extnID OID, critical BOOLEAN DEFAULT FALSE, extnValue OCTET STRING }
+C._parseExtensions = function (der, node) {
+	return C._children(der, node).map(function (ext) {
+		var fields = C._children(der, ext);
+		var oid = Enc.bufToHex(C._value(der, fields[0]));
+		var critical = false;
+		if (0x01 === fields[1].tag) {
+			critical = 0 !== der[fields[1].offset];
+			fields.splice(1, 1);
+		}
+		return {
+			oid: oid,
+			name: C._oids[oid],
+			critical: critical,
+			value: C._value(der, fields[1])
+		};
+	});
+};
+
+// GeneralNames, as found in the subjectAltName extension
+C._parseAltNames = function (info, bytes) {
+	C._children(bytes, C._read(bytes, 0)).forEach(function (gn) {
+		var val = C._value(bytes, gn);
+		// [2] dNSName
+		if (0x82 === gn.tag) {
+			info.altnames.push(Enc.bufToStr(val));
+		}
+		// [7] iPAddress
+		if (0x87 === gn.tag) {
+			info.ips.push(U._bytesToIp(val));
+		}
+	});
+	return info;
+};
+
+// Parse a certificate signing request (PEM, DER, or base64) for its subject and altnames
+C._parseCsr = function (csr) {
+	var der = C._toDer(csr);
+	var root = C._read(der, 0);
+	var req = C._read(der, root.offset);
+	// version, subject, subjectPKInfo, [0] attributes
+	var parts = C._children(der, req);
+	var info = {
+		subject: C._parseName(der, parts[1]),
+		altnames: [],
+		ips: []
+	};
+
+	var attrs = parts[3] && 0xa0 === parts[3].tag ? parts[3] : null;
+	if (!attrs) {
+		return info;
+	}
+	C._children(der, attrs).forEach(function (attr) {
+		var fields = C._children(der, attr);
+		var oid = Enc.bufToHex(C._value(der, fields[0]));
+		if ('extensionRequest' !== C._oids[oid]) {
+			return;
+		}
+		// SET { Extensions }
+		var exts = C._children(der, fields[1])[0];
+		C._parseExtensions(der, exts).forEach(function (ext) {
+			if ('subjectAltName' === ext.name) {
+				C._parseAltNames(info, ext.value);
+			}
+		});
+	});
+	return info;
+};
+
+// Parse a certificate (PEM or DER) into the parts that we care about
+C._parse = function (cert) {
+	var der = C._toDer(cert);
+	var root = C._read(der, 0);
+	var tbs = C._read(der, root.offset);
+	var parts = C._children(der, tbs);
+
+	// version is an optional explicit [0]
+	if (0xa0 === parts[0].tag) {
+		parts.shift();
+	}
+
+	var serial = C._value(der, parts[0]);
+	var validity = C._children(der, parts[3]);
+	var info = {
+		serialNumber: Enc.bufToHex(serial),
+		issuer: C._parseName(der, parts[2]),
+		subject: C._parseName(der, parts[4]),
+		notBefore: C._parseTime(der, validity[0]),
+		notAfter: C._parseTime(der, validity[1]),
+		altnames: [],
+		ips: [],
+		extensions: []
+	};
+
+	// extensions are an optional explicit [3]
+	var exts = parts.filter(function (p) {
+		return 0xa3 === p.tag;
+	})[0];
+	if (exts) {
+		info.extensions = C._parseExtensions(der, C._read(der, exts.offset));
+	}
+
+	info.extensions.forEach(function (ext) {
+		if ('subjectAltName' === ext.name) {
+			C._parseAltNames(info, ext.value);
+		} else if ('authorityKeyIdentifier' === ext.name) {
+			var val = C._read(ext.value, 0);
+			C._children(ext.value, val).forEach(function (field) {
+				// [0] keyIdentifier
+				if (0x80 === field.tag) {
+					info.authorityKeyIdentifier = Enc.bufToHex(
+						C._value(ext.value, field)
+					);
+				}
+			});
+		}
+	});
+
+	return info;
+};
+
+// YYMMDDHHMMSSZ
+C._utcTime = function (date) {
+	return Asn1(
+		'17',
+		Enc.strToHex(
+			date
+				.toISOString()
+				.slice(2, 19)
+				.replace(/[\-T:]/g, '') + 'Z'
+		)
+	);
+};
+
+// A self-signed certificate for a tls-alpn-01 challenge (RFC 8737 Section 3)
+// with the altname being validated, and the SHA-256 digest of the key
+// authorization in a critical acmeIdentifier extension
+C._createTlsAlpnCert = function (opts) {
+	var hostname = opts.hostname;
+	var digest = opts.digest;
+	var ip = U._ipToBytes(hostname);
+	var now = Date.now();
+
+	return Keypairs.generate({ kty: 'EC' }).then(function (pair) {
+		return Promise.all([
+			Keypairs.export({ jwk: pair.public, format: 'spki' }),
+			Keypairs.export({ jwk: pair.private })
+		]).then(function (pems) {
+			// 1.2.840.10045.4.3.2 ecdsaWithSHA256
+			var sigAlg = Asn1('30', Asn1('06', '2a8648ce3d040302'));
+			var name = Asn1(
+				'30',
+				Asn1(
+					'31',
+					Asn1(
+						'30',
+						Asn1('06', '550403'),
+						Asn1('0c', Enc.strToHex(hostname))
+					)
+				)
+			);
+			var altname = ip
+				? Asn1('87', Enc.bufToHex(Uint8Array.from(ip)))
+				: Asn1('82', Enc.strToHex(hostname));
+			var tbs = Asn1(
+				'30',
+				// [0] version v3
+				Asn1('a0', UInt('02')),
+				// the serial only needs to be unique-ish, as it's never checked
+				UInt(Enc.bufToHex(digest.slice(0, 16))),
+				sigAlg,
+				name,
+				Asn1(
+					'30',
+					C._utcTime(new Date(now - 24 * 60 * 60 * 1000)),
+					C._utcTime(new Date(now + 7 * 24 * 60 * 60 * 1000))
+				),
+				name,
+				Enc.bufToHex(C._toDer(pems[0])),
+				// [3] extensions
+				Asn1(
+					'a3',
+					Asn1(
+						'30',
+						Asn1(
+							'30',
+							Asn1('06', '551d11'),
+							Asn1('04', Asn1('30', altname))
+						),
+						Asn1(
+							'30',
+							Asn1('06', '2b0601050507011f'),
+							// critical
+							Asn1('01', 'ff'),
+							Asn1('04', Asn1('04', Enc.bufToHex(digest)))
+						)
+					)
+				)
+			);
+
+			return Keypairs.sign(
+				{ jwk: pair.private, format: 'x509' },
+				Enc.hexToBuf(tbs)
+			).then(function (sig) {
+				var der = Asn1(
+					'30',
+					tbs,
+					sigAlg,
+					BitStr(Enc.bufToHex(Uint8Array.from(sig)))
+				);
+				return {
+					cert:
+						'-----BEGIN CERTIFICATE-----\n' +
+						Enc.hexToBase64(der)
+							.match(/.{1,64}/g)
+							.join('\n') +
+						'\n-----END CERTIFICATE-----\n',
+					key: pems[1]
+				};
+			});
+		});
+	});
+};
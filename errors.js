@@ -71,6 +71,21 @@ E.ORDER_INVALID = function (options, domains, resp) {
 			JSON.stringify(resp.body, null, 2)
 	);
 };
+E.ORDER_TIMEOUT = function (options, domains, resp) {
+	var err = new Error(
+		"Did not finalize order: still 'processing' when the polling deadline passed." +
+			' The CA may be busy: try again later, or set a longer `retryTimeout`.\n' +
+			"Requested: '" +
+			options.domains.join(', ') +
+			"'\n" +
+			"Validated: '" +
+			domains.join(', ') +
+			"'\n" +
+			JSON.stringify(resp.body, null, 2)
+	);
+	err.code = 'E_POLL_TIMEOUT';
+	return err;
+};
 E.NO_AUTHORIZATIONS = function (options, resp) {
 	return new Error(
 		"[acme-v2.js] authorizations were not fetched for '" +
@@ -79,3 +94,87 @@ E.NO_AUTHORIZATIONS = function (options, resp) {
 			JSON.stringify(resp.body)
 	);
 };
+E.ALREADY_REVOKED = function (e) {
+	var err = new Error(
+		'Did not revoke certificate: it has already been revoked.\n' +
+			(e.detail || e.message)
+	);
+	err.code = 'E_ALREADY_REVOKED';
+	err.urn = e.urn;
+	err.detail = e.detail;
+	return err;
+};
+E.REVOKE_UNAUTHORIZED = function (e) {
+	var err = new Error(
+		'Did not revoke certificate: the signing key is not authorized to revoke it.' +
+			' Sign with the account key that issued the certificate' +
+			' (or one which controls all of its identifiers), or with the certificate key itself.\n' +
+			(e.detail || e.message)
+	);
+	err.code = 'E_REVOKE_UNAUTHORIZED';
+	err.urn = e.urn;
+	err.detail = e.detail;
+	return err;
+};
+E.KEY_IN_USE = function (resp) {
+	var err = new Error(
+		'Did not change account key: the new key is already in use by ' +
+			(resp.headers.location || 'another account') +
+			'.\n' +
+			JSON.stringify(resp.body)
+	);
+	err.code = 'E_KEY_IN_USE';
+	err.kid = resp.headers.location;
+	return err;
+};
+E.INVALID_CONTACT = function (e) {
+	var err = new Error(
+		'Did not update account: the contact is not valid.' +
+			' Contacts should be in the form of mailto:someone@example.com\n' +
+			e.detail
+	);
+	err.code = 'E_INVALID_CONTACT';
+	err.urn = e.urn;
+	err.detail = e.detail;
+	return err;
+};
+E.UNSUPPORTED_CONTACT = function (e) {
+	var err = new Error(
+		'Did not update account: the ACME server does not support that kind of contact.' +
+			' Most ACME servers support only mailto: urls\n' +
+			e.detail
+	);
+	err.code = 'E_UNSUPPORTED_CONTACT';
+	err.urn = e.urn;
+	err.detail = e.detail;
+	return err;
+};
+E.ACCOUNT_DOES_NOT_EXIST = function (e) {
+	var err = new Error(
+		'There is no account for this key on this ACME server.' +
+			' Use accounts.create() to register a new one.\n' +
+			e.detail
+	);
+	err.code = 'E_ACCOUNT_DOES_NOT_EXIST';
+	err.urn = e.urn;
+	err.detail = e.detail;
+	return err;
+};
+E.CUSTOM_VALIDITY = function (request, e) {
+	var err = new Error(
+		'Did not create order: the ACME server rejected the requested validity period' +
+			' (notBefore: ' +
+			(request.notBefore || 'none') +
+			', notAfter: ' +
+			(request.notAfter || 'none') +
+			').' +
+			" Many CAs (including Let's Encrypt) do not support custom validity periods," +
+			' try again without `notBefore` and `notAfter`.\n' +
+			e.detail
+	);
+	err.code = 'E_CUSTOM_VALIDITY';
+	err.urn = e.urn;
+	err.detail = e.detail;
+	err.cause = e;
+	return err;
+};
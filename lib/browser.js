@@ -20,7 +20,11 @@ native._canCheck = function (me) {
 native._dns01 = function (me, ch) {
 	return me
 		.request({
-			url: me._baseUrl + '/api/dns/' + ch.dnsHost + '?type=TXT'
+			url:
+				me._baseUrl +
+				'/api/dns/' +
+				(ch.dnsAlias || ch.dnsHost) +
+				'?type=TXT'
 		})
 		.then(function (resp) {
 			var err;
@@ -42,6 +46,24 @@ native._dns01 = function (me, ch) {
 		});
 };
 
+native._dnsCname = function (me, name) {
+	return me
+		.request({ url: me._baseUrl + '/api/dns/' + name + '?type=CNAME' })
+		.then(function (resp) {
+			var answer = (resp.body && resp.body.answer) || [];
+			var last = answer[answer.length - 1];
+			return (last && last.data) || null;
+		})
+		.catch(function () {
+			return null;
+		});
+};
+
+// (there's no way to find the zone apex in the browser)
+native._dnsZone = function () {
+	return Promise.resolve(null);
+};
+
 native._http01 = function (me, ch) {
 	var url = encodeURIComponent(ch.challengeUrl);
 	return me
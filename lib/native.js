@@ -1,30 +1,44 @@
 'use strict';
 
 var native = module.exports;
-var promisify = require('util').promisify;
-var resolveTxt = promisify(require('dns').resolveTxt);
 var crypto = require('crypto');
+var tls = require('tls');
+var dnsCheck = require('./node/dns-check.js');
 
 native._canCheck = function (me) {
 	me._canCheck = {};
 	me._canCheck['http-01'] = true;
 	me._canCheck['dns-01'] = true;
+	me._canCheck['tls-alpn-01'] = true;
 	return Promise.resolve();
 };
 
 native._dns01 = function (me, ch) {
-	// TODO use digd.js
-	return resolveTxt(ch.dnsHost).then(function (records) {
-		return {
-			answer: records.map(function (rr) {
-				return {
-					data: rr
-				};
-			})
-		};
+	// ask the authoritative nameservers, as the ACME server will
+	// (and by way of the CNAME, for a delegated _acme-challenge)
+	var name = ch.dnsAlias || ch.dnsHost;
+	return dnsCheck.txt(name).catch(function (err) {
+		return { name: name, answer: [], nameservers: [], error: err };
 	});
 };
 
+// the last target of the name's CNAME chain (if any), according to its
+// authoritative nameservers
+native._dnsCname = function (me, name) {
+	return dnsCheck.txt(name).then(
+		function (report) {
+			return report.cnames[report.cnames.length - 1] || null;
+		},
+		function () {
+			return null;
+		}
+	);
+};
+
+native._dnsZone = function (me, name) {
+	return dnsCheck.zone(name);
+};
+
 native._http01 = function (me, ch) {
 	return new me.request({
 		url: ch.challengeUrl
@@ -33,6 +47,34 @@ native._http01 = function (me, ch) {
 	});
 };
 
+// connect on 443 as the ACME server would, and return the certificate (DER)
+native._tlsAlpn01 = function (me, ch) {
+	return new Promise(function (resolve, reject) {
+		var socket = tls.connect(
+			{
+				host: ch.hostname,
+				port: 443,
+				servername: ch.servername,
+				ALPNProtocols: ['acme-tls/1'],
+				// it's self-signed, we check it ourselves
+				rejectUnauthorized: false
+			},
+			function () {
+				var cert = socket.getPeerCertificate();
+				resolve({
+					alpnProtocol: socket.alpnProtocol,
+					cert: cert && cert.raw
+				});
+				socket.end();
+			}
+		);
+		socket.setTimeout(10 * 1000, function () {
+			socket.destroy(new Error('timeout connecting to ' + ch.hostname));
+		});
+		socket.on('error', reject);
+	});
+};
+
 // the hashcash here is for browser parity only
 // basically we ask the client to find a needle in a haystack
 // (very similar to CloudFlare's api protection)
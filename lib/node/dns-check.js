@@ -0,0 +1,317 @@
+'use strict';
+
+var check = module.exports;
+var dns = require('dns');
+var promisify = require('util').promisify;
+var packet = require('./dns-packet.js');
+var client = require('./dns-client.js');
+
+// Look up TXT records the way that the ACME server will: by asking each of
+// the zone's authoritative nameservers directly (following CNAMEs), rather
+// than a local resolver that may have cached a miss, or have a split-horizon
+// view of the zone.
+
+check.maxCnames = 8;
+
+check._resolver = {
+	resolveNs: promisify(dns.resolveNs),
+	resolve4: promisify(dns.resolve4),
+	resolve6: promisify(dns.resolve6)
+};
+
+// dns0x20: randomize the case of the query, which the response must match,
+// which makes a spoofed response much harder to guess
+check._randomCase = function (name) {
+	return name
+		.toLowerCase()
+		.split('')
+		.map(function (ch) {
+			return Math.round(Math.random()) % 2 ? ch : ch.toUpperCase();
+		})
+		.join('');
+};
+
+// Find the closest enclosing zone that has NS records, and their addresses
+// ex: _acme-challenge.www.example.com => example.com => [ ns1.example.com ]
+// (`from` is where to start looking, if not at `name` itself)
+check._findNameservers = function (name, opts, from) {
+	var resolver = opts.resolver || check._resolver;
+	var labels = (from || name).replace(/\.$/, '').split('.');
+
+	function addressOf(host) {
+		return resolver
+			.resolve4(host)
+			.catch(function () {
+				return resolver.resolve6(host);
+			})
+			.then(
+				function (addrs) {
+					return addrs[0];
+				},
+				function () {
+					return null;
+				}
+			);
+	}
+
+	function next() {
+		if (!labels.length) {
+			var err = new Error("no nameservers found for '" + name + "'");
+			err.code = 'E_NO_NAMESERVERS';
+			return Promise.reject(err);
+		}
+		var zone = labels.join('.');
+		labels.shift();
+		return resolver.resolveNs(zone).then(
+			function (hosts) {
+				if (!hosts || !hosts.length) {
+					return next();
+				}
+				return Promise.all(hosts.map(addressOf)).then(function (addrs) {
+					return {
+						zone: zone,
+						nameservers: hosts.map(function (host, i) {
+							return { nameserver: host, address: addrs[i] };
+						})
+					};
+				});
+			},
+			function () {
+				return next();
+			}
+		);
+	}
+
+	return next();
+};
+
+function records(res, type, owner) {
+	return res.answer.filter(function (rr) {
+		return type === rr.type && owner === rr.name.toLowerCase();
+	});
+}
+
+// Ask one nameserver (without recursion) for the TXT records of `name`
+check._queryNameserver = function (name, ns, opts) {
+	var result = {
+		nameserver: ns.nameserver,
+		address: ns.address,
+		answer: []
+	};
+	if (!ns.address) {
+		result.error = 'could not resolve the address of ' + ns.nameserver;
+		return Promise.resolve(result);
+	}
+
+	var cased = check._randomCase(name);
+	return client
+		.request(
+			{
+				header: {
+					id: packet.id(),
+					opcode: packet.opcodes.QUERY,
+					rd: 0
+				},
+				question: [{ name: cased, type: packet.types.TXT }]
+			},
+			{
+				server: ns.address,
+				port: opts.port || 53,
+				timeout: opts.timeout || 2000,
+				tcp: opts.tcp
+			}
+		)
+		.then(function (res) {
+			var q = res.question[0];
+			if (!q || q.name !== cased) {
+				result.error =
+					"DNS 0x20 mismatch (or spoofed packet): asked for '" +
+					cased +
+					"' but got '" +
+					(q && q.name) +
+					"'";
+				return result;
+			}
+			result.rcode = packet.rcodes[res.header.rcode] || res.header.rcode;
+			result.authoritative = !!res.header.aa;
+
+			// follow CNAMEs within the answer (the server may chase in-zone ones)
+			var owner = name.toLowerCase();
+			var cname = records(res, packet.types.CNAME, owner)[0];
+			var hops = 0;
+			while (cname && hops < check.maxCnames) {
+				hops += 1;
+				owner = cname.data.toLowerCase();
+				result.cname = owner;
+				cname = records(res, packet.types.CNAME, owner)[0];
+			}
+			var txts = records(res, packet.types.TXT, owner);
+			result.answer = txts.map(function (rr) {
+				return rr.data.join('');
+			});
+			// the CNAME target still needs to be looked up
+			if (result.answer.length) {
+				delete result.cname;
+			}
+			return result;
+		})
+		.catch(function (err) {
+			result.error = err.message;
+			return result;
+		});
+};
+
+// Resolves with { name, cnames, answer: [ { data: [ txt ] } ], nameservers },
+// where only the records that every nameserver gave are in the answer, and
+// the result from each nameserver (of each name, for CNAMEs) is in nameservers.
+check.txt = function (name, opts) {
+	opts = opts || {};
+	var report = { name: name, cnames: [], answer: [], nameservers: [] };
+
+	function lookup(host, from) {
+		return check._findNameservers(host, opts, from).then(function (found) {
+			return Promise.all(
+				found.nameservers.map(function (ns) {
+					return check._queryNameserver(host, ns, opts);
+				})
+			).then(function (results) {
+				// a resolver may give the NS of a CNAME's target rather than of
+				// the zone that the CNAME is in, which won't answer for it
+				var parent = found.zone.split('.').slice(1).join('.');
+				var lame = results.every(function (result) {
+					return !result.error && !result.authoritative;
+				});
+				if (lame && parent) {
+					return lookup(host, parent);
+				}
+
+				results.forEach(function (result) {
+					result.name = host;
+					result.zone = found.zone;
+				});
+				report.nameservers = report.nameservers.concat(results);
+
+				var target = results
+					.map(function (result) {
+						return result.cname;
+					})
+					.filter(Boolean)[0];
+				if (target && report.cnames.length < check.maxCnames) {
+					report.cnames.push(target);
+					return lookup(target);
+				}
+
+				// only what every nameserver agrees on will reliably validate
+				var txts = results[0] ? results[0].answer : [];
+				report.answer = txts
+					.filter(function (txt) {
+						return results.every(function (result) {
+							return -1 !== result.answer.indexOf(txt);
+						});
+					})
+					.map(function (txt) {
+						return { data: [txt] };
+					});
+				return report;
+			});
+		});
+	}
+
+	return lookup(name.replace(/\.$/, '').toLowerCase());
+};
+
+// how long to remember the zone of a name
+check.zoneCacheTtl = 10 * 60 * 1000;
+check._zones = {};
+
+// the system's resolvers, which may be given as ip, ip:port, or [ipv6]:port
+check._servers = function () {
+	return dns.getServers().map(function (server) {
+		var m =
+			/^\[(.*)\]:(\d+)$/.exec(server) || /^([^:]+):(\d+)$/.exec(server);
+		if (!m) {
+			return { server: server, port: 53 };
+		}
+		return { server: m[1], port: parseInt(m[2], 10) };
+	});
+};
+
+// Find the zone apex of a name from the SOA that a recursive resolver gives
+// for it (as the answer at the apex, or as the authority below it), walking
+// up the labels past any CNAME, for which it's the SOA of the target's zone
+// ex: _acme-challenge.www.example.com => example.com
+check.zone = function (name, opts) {
+	opts = opts || {};
+	name = name.replace(/\.$/, '').toLowerCase();
+	var cached = check._zones[name];
+	if (cached && cached.expires > Date.now()) {
+		return Promise.resolve(cached.zone);
+	}
+
+	var servers = opts.servers
+		? opts.servers.map(function (server) {
+				return { server: server, port: opts.port || 53 };
+		  })
+		: check._servers();
+	var labels = name.split('.');
+
+	function query(host, i) {
+		var server = servers[i];
+		if (!server) {
+			var err = new Error('no DNS resolvers could be reached');
+			err.code = 'E_DNS_TIMEOUT';
+			return Promise.reject(err);
+		}
+		return client
+			.request(
+				{
+					header: {
+						id: packet.id(),
+						opcode: packet.opcodes.QUERY,
+						rd: 1
+					},
+					question: [{ name: host, type: packet.types.SOA }]
+				},
+				{
+					server: server.server,
+					port: server.port,
+					timeout: opts.timeout || 2000
+				}
+			)
+			.catch(function () {
+				return query(host, i + 1);
+			});
+	}
+
+	function next() {
+		if (!labels.length) {
+			return Promise.resolve(null);
+		}
+		var host = labels.join('.');
+		labels.shift();
+		return query(host, 0).then(function (res) {
+			var soa = res.answer.concat(res.authority).filter(function (rr) {
+				var zone = rr.name.toLowerCase();
+				return (
+					packet.types.SOA === rr.type &&
+					(zone === name ||
+						name.slice(-(zone.length + 1)) === '.' + zone)
+				);
+			})[0];
+			if (!soa) {
+				return next();
+			}
+			return soa.name.toLowerCase();
+		});
+	}
+
+	return next().then(function (zone) {
+		if (zone) {
+			check._zones[name] = {
+				zone: zone,
+				expires: Date.now() + check.zoneCacheTtl
+			};
+		}
+		return zone;
+	});
+};
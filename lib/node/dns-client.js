@@ -0,0 +1,117 @@
+'use strict';
+
+var client = module.exports;
+var dgram = require('dgram');
+var net = require('net');
+var packet = require('./dns-packet.js');
+
+// Send a DNS message (as bytes) to a single server and resolve with the
+// response (as bytes), over UDP unless `tcp` is set or the answer is truncated
+//
+// opts = { server, port: 53, timeout: 2000, tcp: false }
+client.send = function (query, opts) {
+	var p = opts.tcp
+		? client._sendTcp(query, opts)
+		: client._sendUdp(query, opts);
+	return p.then(function (buf) {
+		// TC (truncated): try again over TCP
+		if (!opts.tcp && 0x02 & buf[2]) {
+			return client._sendTcp(query, opts);
+		}
+		return buf;
+	});
+};
+
+// pack, send, and unpack
+client.request = function (msg, opts) {
+	return client.send(packet.pack(msg), opts).then(function (buf) {
+		return packet.unpack(buf);
+	});
+};
+
+function timeoutError(opts) {
+	var err = new Error(
+		'DNS timeout: no response from ' +
+			opts.server +
+			' after ' +
+			(opts.timeout || 2000) +
+			'ms'
+	);
+	err.code = 'E_DNS_TIMEOUT';
+	err.server = opts.server;
+	return err;
+}
+
+client._sendUdp = function (query, opts) {
+	return new Promise(function (resolve, reject) {
+		var id = query.readUInt16BE(0);
+		var socket = dgram.createSocket(
+			net.isIPv6(opts.server) ? 'udp6' : 'udp4'
+		);
+		var timer;
+
+		function done(err, buf) {
+			clearTimeout(timer);
+			socket.close();
+			if (err) {
+				reject(err);
+				return;
+			}
+			resolve(buf);
+		}
+
+		timer = setTimeout(function () {
+			done(timeoutError(opts));
+		}, opts.timeout || 2000);
+		socket.on('error', done);
+		socket.on('message', function (buf, rinfo) {
+			// ignore anything that isn't the response (possibly spoofed)
+			if (
+				buf.length < 12 ||
+				id !== buf.readUInt16BE(0) ||
+				rinfo.port !== (opts.port || 53)
+			) {
+				return;
+			}
+			done(null, buf);
+		});
+		socket.send(query, opts.port || 53, opts.server);
+	});
+};
+
+client._sendTcp = function (query, opts) {
+	return new Promise(function (resolve, reject) {
+		var id = query.readUInt16BE(0);
+		var chunks = [];
+		var socket = net.connect({ host: opts.server, port: opts.port || 53 });
+		var len = Buffer.alloc(2);
+		len.writeUInt16BE(query.length, 0);
+
+		socket.setTimeout(opts.timeout || 2000, function () {
+			socket.destroy(timeoutError(opts));
+		});
+		socket.on('error', reject);
+		socket.on('connect', function () {
+			socket.write(Buffer.concat([len, query]));
+		});
+		socket.on('data', function (chunk) {
+			chunks.push(chunk);
+			var buf = Buffer.concat(chunks);
+			if (buf.length < 2 || buf.length < 2 + buf.readUInt16BE(0)) {
+				return;
+			}
+			buf = buf.slice(2, 2 + buf.readUInt16BE(0));
+			socket.end();
+			if (buf.length < 12 || id !== buf.readUInt16BE(0)) {
+				reject(
+					new Error('DNS response id mismatch from ' + opts.server)
+				);
+				return;
+			}
+			resolve(buf);
+		});
+		socket.on('end', function () {
+			reject(new Error('DNS connection closed by ' + opts.server));
+		});
+	});
+};
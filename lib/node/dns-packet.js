@@ -0,0 +1,307 @@
+'use strict';
+
+var packet = module.exports;
+var crypto = require('crypto');
+
+// Just enough of the DNS wire format (RFC 1035) for ACME:
+// queries (TXT, SOA, NS, CNAME), dynamic updates (RFC 2136), and TSIG (RFC 8945)
+
+packet.types = {
+	A: 1,
+	NS: 2,
+	CNAME: 5,
+	SOA: 6,
+	TXT: 16,
+	AAAA: 28,
+	OPT: 41,
+	TSIG: 250,
+	ANY: 255
+};
+packet.classes = { IN: 1, NONE: 254, ANY: 255 };
+packet.opcodes = { QUERY: 0, UPDATE: 5 };
+packet.rcodes = {
+	0: 'NOERROR',
+	1: 'FORMERR',
+	2: 'SERVFAIL',
+	3: 'NXDOMAIN',
+	4: 'NOTIMP',
+	5: 'REFUSED',
+	6: 'YXDOMAIN',
+	7: 'YXRRSET',
+	8: 'NXRRSET',
+	9: 'NOTAUTH',
+	10: 'NOTZONE',
+	16: 'BADSIG',
+	17: 'BADKEY',
+	18: 'BADTIME'
+};
+
+function typeName(type) {
+	var name = Object.keys(packet.types).filter(function (k) {
+		return packet.types[k] === type;
+	})[0];
+	return name || 'TYPE' + type;
+}
+
+// 'example.com' => <7>example<3>com<0>
+// (names are never compressed, which is also what TSIG needs)
+packet.packName = function (name) {
+	var labels = String(name || '')
+		.replace(/\.$/, '')
+		.split('.')
+		.filter(Boolean);
+	var bufs = labels.map(function (label) {
+		var buf = Buffer.from(label, 'utf8');
+		if (buf.length > 63) {
+			throw new Error("DNS label too long: '" + label + "'");
+		}
+		return Buffer.concat([Buffer.from([buf.length]), buf]);
+	});
+	bufs.push(Buffer.from([0]));
+	return Buffer.concat(bufs);
+};
+
+// returns { name, end }, following compression pointers
+packet.unpackName = function (buf, index) {
+	var labels = [];
+	var end = null;
+	var jumps = 0;
+	for (;;) {
+		if (index >= buf.length) {
+			throw new Error('DNS parse error: name runs past end of packet');
+		}
+		var len = buf[index];
+		if (0 === len) {
+			index += 1;
+			break;
+		}
+		if (0xc0 === (0xc0 & len)) {
+			if (null === end) {
+				end = index + 2;
+			}
+			jumps += 1;
+			if (jumps > 64) {
+				throw new Error('DNS parse error: compression loop');
+			}
+			index = buf.readUInt16BE(index) & 0x3fff;
+			continue;
+		}
+		labels.push(buf.toString('utf8', index + 1, index + 1 + len));
+		index += 1 + len;
+	}
+	return { name: labels.join('.'), end: null === end ? index : end };
+};
+
+// TXT data is one or more <length><string>s of up to 255 bytes
+packet.packTxt = function (data) {
+	if (!Array.isArray(data)) {
+		data = [data];
+	}
+	return Buffer.concat(
+		data.map(function (str) {
+			var buf = Buffer.from(String(str), 'utf8');
+			if (buf.length > 255) {
+				throw new Error('TXT strings must be 255 bytes or less');
+			}
+			return Buffer.concat([Buffer.from([buf.length]), buf]);
+		})
+	);
+};
+
+packet.unpackTxt = function (buf, start, end) {
+	var strs = [];
+	var index = start;
+	while (index < end) {
+		var len = buf[index];
+		strs.push(buf.toString('utf8', index + 1, index + 1 + len));
+		index += 1 + len;
+	}
+	return strs;
+};
+
+function packRdata(rr) {
+	if (Buffer.isBuffer(rr.rdata)) {
+		return rr.rdata;
+	}
+	if (undefined === rr.data || null === rr.data) {
+		return Buffer.alloc(0);
+	}
+	switch (rr.type) {
+		case packet.types.TXT:
+			return packet.packTxt(rr.data);
+		case packet.types.NS:
+		case packet.types.CNAME:
+			return packet.packName(rr.data);
+		case packet.types.SOA:
+			var nums = Buffer.alloc(20);
+			nums.writeUInt32BE(rr.data.serial >>> 0, 0);
+			nums.writeUInt32BE(rr.data.refresh >>> 0, 4);
+			nums.writeUInt32BE(rr.data.retry >>> 0, 8);
+			nums.writeUInt32BE(rr.data.expire >>> 0, 12);
+			nums.writeUInt32BE(rr.data.minimum >>> 0, 16);
+			return Buffer.concat([
+				packet.packName(rr.data.mname),
+				packet.packName(rr.data.rname),
+				nums
+			]);
+		default:
+			throw new Error(
+				'cannot encode DNS record data for ' + typeName(rr.type)
+			);
+	}
+}
+
+function unpackRdata(buf, rr, start, end) {
+	switch (rr.type) {
+		case packet.types.A:
+			return Array.prototype.slice.call(buf, start, end).join('.');
+		case packet.types.TXT:
+			return packet.unpackTxt(buf, start, end);
+		case packet.types.NS:
+		case packet.types.CNAME:
+			return packet.unpackName(buf, start).name;
+		case packet.types.SOA:
+			var mname = packet.unpackName(buf, start);
+			var rname = packet.unpackName(buf, mname.end);
+			var i = rname.end;
+			return {
+				mname: mname.name,
+				rname: rname.name,
+				serial: buf.readUInt32BE(i),
+				refresh: buf.readUInt32BE(i + 4),
+				retry: buf.readUInt32BE(i + 8),
+				expire: buf.readUInt32BE(i + 12),
+				minimum: buf.readUInt32BE(i + 16)
+			};
+		default:
+			return undefined;
+	}
+}
+
+packet.packRecord = function (rr) {
+	var rdata = packRdata(rr);
+	var fixed = Buffer.alloc(10);
+	fixed.writeUInt16BE(rr.type, 0);
+	fixed.writeUInt16BE(rr.class || packet.classes.IN, 2);
+	fixed.writeUInt32BE((rr.ttl || 0) >>> 0, 4);
+	fixed.writeUInt16BE(rdata.length, 8);
+	return Buffer.concat([packet.packName(rr.name), fixed, rdata]);
+};
+
+packet.packHeader = function (msg, counts) {
+	var h = msg.header || {};
+	var buf = Buffer.alloc(12);
+	buf.writeUInt16BE(h.id || 0, 0);
+	buf.writeUInt16BE(
+		((h.qr ? 1 : 0) << 15) |
+			((h.opcode || 0) << 11) |
+			((h.aa ? 1 : 0) << 10) |
+			((h.tc ? 1 : 0) << 9) |
+			((h.rd ? 1 : 0) << 8) |
+			((h.ra ? 1 : 0) << 7) |
+			((h.rcode || 0) & 0xf),
+		2
+	);
+	counts.forEach(function (n, i) {
+		buf.writeUInt16BE(n, 4 + 2 * i);
+	});
+	return buf;
+};
+
+// { header, question, answer, authority, additional }
+// (for UPDATE these are the zone, prerequisite, update, and additional sections)
+packet.pack = function (msg) {
+	var question = msg.question || [];
+	var sections = [
+		msg.answer || [],
+		msg.authority || [],
+		msg.additional || []
+	];
+	var header = packet.packHeader(msg, [
+		question.length,
+		sections[0].length,
+		sections[1].length,
+		sections[2].length
+	]);
+	var bufs = [header];
+	question.forEach(function (q) {
+		var fixed = Buffer.alloc(4);
+		fixed.writeUInt16BE(q.type, 0);
+		fixed.writeUInt16BE(q.class || packet.classes.IN, 2);
+		bufs.push(packet.packName(q.name), fixed);
+	});
+	sections.forEach(function (rrs) {
+		rrs.forEach(function (rr) {
+			bufs.push(packet.packRecord(rr));
+		});
+	});
+	return Buffer.concat(bufs);
+};
+
+packet.unpack = function (buf) {
+	if (buf.length < 12) {
+		throw new Error('DNS parse error: packet too short');
+	}
+	var flags = buf.readUInt16BE(2);
+	var msg = {
+		header: {
+			id: buf.readUInt16BE(0),
+			qr: flags >> 15,
+			opcode: (flags >> 11) & 0xf,
+			aa: (flags >> 10) & 1,
+			tc: (flags >> 9) & 1,
+			rd: (flags >> 8) & 1,
+			ra: (flags >> 7) & 1,
+			rcode: flags & 0xf
+		},
+		question: [],
+		answer: [],
+		authority: [],
+		additional: []
+	};
+	var counts = [4, 6, 8, 10].map(function (i) {
+		return buf.readUInt16BE(i);
+	});
+	var index = 12;
+	var i;
+	for (i = 0; i < counts[0]; i += 1) {
+		var q = packet.unpackName(buf, index);
+		msg.question.push({
+			name: q.name,
+			type: buf.readUInt16BE(q.end),
+			class: buf.readUInt16BE(q.end + 2)
+		});
+		index = q.end + 4;
+	}
+	['answer', 'authority', 'additional'].forEach(function (section, j) {
+		for (var k = 0; k < counts[j + 1]; k += 1) {
+			var n = packet.unpackName(buf, index);
+			var rr = {
+				name: n.name,
+				type: buf.readUInt16BE(n.end),
+				class: buf.readUInt16BE(n.end + 2),
+				ttl: buf.readUInt32BE(n.end + 4),
+				// where this record starts, for TSIG
+				_start: index
+			};
+			var len = buf.readUInt16BE(n.end + 8);
+			var start = n.end + 10;
+			if (start + len > buf.length) {
+				throw new Error(
+					'DNS parse error: record runs past end of packet'
+				);
+			}
+			rr.typeName = typeName(rr.type);
+			rr.rdata = buf.slice(start, start + len);
+			rr.data = unpackRdata(buf, rr, start, start + len);
+			msg[section].push(rr);
+			index = start + len;
+		}
+	});
+	return msg;
+};
+
+// a random 16-bit message id
+packet.id = function () {
+	return crypto.randomBytes(2).readUInt16BE(0);
+};
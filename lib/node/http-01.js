@@ -0,0 +1,139 @@
+'use strict';
+
+var http01 = module.exports;
+var http = require('http');
+
+// same as ACME.challengePrefixes['http-01']
+http01.prefix = '/.well-known/acme-challenge/';
+
+// how long a challenge is served if it's never removed (such as when the
+// order fails first), after which the standalone server stops if it's idle
+http01.timeout = 10 * 60 * 1000;
+
+// An in-memory http-01 challenge plugin, which serves key authorizations
+// (and nothing else) either as middleware for express, connect, or plain http:
+//
+//   var responder = http01.create();
+//   app.use(responder.middleware);
+//
+// or from its own http server, which is only listening while there are
+// challenges pending (i.e. for the duration of certificates.create, or until
+// `timeout`, if they're not removed):
+//
+//   var responder = http01.create({ port: 80, timeout: 10 * 60 * 1000 });
+//
+//   acme.certificates.create({ ..., challenges: { 'http-01': responder } });
+http01.create = function (opts) {
+	opts = opts || {};
+	var challenges = {};
+	var timers = {};
+	var server = null;
+	var listening = null;
+
+	function tokenFromUrl(url) {
+		// only the exact path, without a query, can match
+		var path = String(url || '').split('?')[0];
+		if (0 !== path.indexOf(http01.prefix)) {
+			return null;
+		}
+		var token = path.slice(http01.prefix.length);
+		if (!Object.prototype.hasOwnProperty.call(challenges, token)) {
+			return null;
+		}
+		return token;
+	}
+
+	// (req, res, next), where everything but a pending token goes to `next`
+	// (or is a 404, if there isn't one)
+	function middleware(req, res, next) {
+		var token = tokenFromUrl(req.url);
+		if (!token || ('GET' !== req.method && 'HEAD' !== req.method)) {
+			if ('function' === typeof next) {
+				next();
+				return;
+			}
+			res.statusCode = 404;
+			res.end('Not Found');
+			return;
+		}
+		res.statusCode = 200;
+		res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+		res.end(challenges[token]);
+	}
+
+	function listen() {
+		if (!opts.port || listening) {
+			return listening || Promise.resolve();
+		}
+		server = http.createServer(function (req, res) {
+			middleware(req, res);
+		});
+		listening = new Promise(function (resolve, reject) {
+			server.once('error', reject);
+			server.listen(opts.port, opts.host, function () {
+				server.removeListener('error', reject);
+				resolve();
+			});
+		}).catch(function (err) {
+			server = null;
+			listening = null;
+			throw err;
+		});
+		return listening;
+	}
+
+	function close() {
+		if (!server) {
+			return Promise.resolve();
+		}
+		var s = server;
+		server = null;
+		listening = null;
+		return new Promise(function (resolve) {
+			s.close(function () {
+				resolve();
+			});
+		});
+	}
+
+	var responder = {
+		init: function () {
+			return Promise.resolve(null);
+		},
+		set: function (data) {
+			var ch = data.challenge;
+			challenges[ch.token] = ch.keyAuthorization;
+			clearTimeout(timers[ch.token]);
+			timers[ch.token] = setTimeout(function () {
+				responder.remove({ challenge: ch });
+			}, opts.timeout || http01.timeout);
+			timers[ch.token].unref();
+			return listen().then(function () {
+				return null;
+			});
+		},
+		get: function (data) {
+			var keyAuth = challenges[data.challenge.token];
+			if (!keyAuth) {
+				return Promise.resolve(null);
+			}
+			return Promise.resolve({ keyAuthorization: keyAuth });
+		},
+		remove: function (data) {
+			clearTimeout(timers[data.challenge.token]);
+			delete timers[data.challenge.token];
+			delete challenges[data.challenge.token];
+			if (Object.keys(challenges).length) {
+				return Promise.resolve(null);
+			}
+			return close().then(function () {
+				return null;
+			});
+		},
+		middleware: middleware,
+		// stops the standalone server, even if challenges are still pending
+		close: close
+	};
+
+	return responder;
+};
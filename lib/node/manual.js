@@ -0,0 +1,200 @@
+'use strict';
+
+var manual = module.exports;
+var readline = require('readline');
+
+// A dns-01 and http-01 challenge plugin for when the records or files have to
+// be put in place by hand: it shows exactly what to create, and waits to be
+// told that it's done.
+//
+//   var presenter = manual.create();
+//   acme.certificates.create({
+//     ...,
+//     challenges: { 'dns-01': presenter } // and/or 'http-01'
+//   });
+//
+// All of the order's challenges of the same type are shown (and confirmed)
+// together, including a BIND zone-file snippet for dns-01.
+//
+// opts.print(text) replaces console.info, and opts.confirm({ type,
+// challenges, instructions, zonefile }) replaces pressing Enter on stdin.
+manual.create = function (opts) {
+	opts = opts || {};
+	var print = opts.print || console.info;
+	var confirm = opts.confirm || manual._confirmStdin;
+	var ttl = opts.ttl || 60;
+	var confirmed = {};
+
+	function id(ch) {
+		return ch.type + ' ' + ch.altname + ' ' + ch.token;
+	}
+
+	return {
+		// time for hand-made records to reach the secondaries
+		propagationDelay:
+			'number' === typeof opts.propagationDelay
+				? opts.propagationDelay
+				: 5000,
+		init: function () {
+			return Promise.resolve(null);
+		},
+		set: function (data) {
+			var ch = data.challenge;
+			if (confirmed[id(ch)]) {
+				return Promise.resolve(null);
+			}
+
+			// show everything of this type that hasn't already been confirmed
+			var batch = (data.challenges || [ch]).filter(function (c) {
+				return c.type === ch.type && !confirmed[id(c)];
+			});
+			if (
+				!batch.some(function (c) {
+					return id(c) === id(ch);
+				})
+			) {
+				batch.unshift(ch);
+			}
+
+			var instructions = manual.instructions(batch, ttl);
+			var zonefile =
+				'dns-01' === ch.type ? manual.zonefile(batch, ttl) : undefined;
+			print(instructions);
+			return Promise.resolve(
+				confirm({
+					type: ch.type,
+					challenges: batch,
+					instructions: instructions,
+					zonefile: zonefile
+				})
+			).then(function () {
+				batch.forEach(function (c) {
+					confirmed[id(c)] = c;
+				});
+				return null;
+			});
+		},
+		get: function (data) {
+			var ch = confirmed[id(data.challenge)];
+			if (!ch) {
+				return Promise.resolve(null);
+			}
+			return Promise.resolve({
+				keyAuthorization: ch.keyAuthorization,
+				dnsAuthorization: ch.dnsAuthorization
+			});
+		},
+		remove: function (data) {
+			var ch = data.challenge;
+			delete confirmed[id(ch)];
+			print(manual.removeInstructions(ch));
+			return Promise.resolve(null);
+		}
+	};
+};
+
+manual.instructions = function (challenges, ttl) {
+	var lines = [];
+	var dns = challenges.filter(function (ch) {
+		return 'dns-01' === ch.type;
+	});
+	var http = challenges.filter(function (ch) {
+		return 'http-01' === ch.type;
+	});
+	challenges.forEach(function (ch) {
+		if ('dns-01' !== ch.type && 'http-01' !== ch.type) {
+			throw new Error(
+				"the manual presenter can't be used for '" + ch.type + "'"
+			);
+		}
+	});
+
+	if (dns.length) {
+		lines.push('', 'Create these DNS TXT records:', '');
+		dns.forEach(function (ch) {
+			lines.push(
+				'\tdnsHost: ' + ch.dnsHost,
+				'\tdnsZone: ' + (ch.dnsZone || '(unknown)'),
+				'\tdnsPrefix: ' + (ch.dnsPrefix || '(unknown)'),
+				'\tkeyAuthorizationDigest: ' +
+					(ch.keyAuthorizationDigest || ch.dnsAuthorization),
+				''
+			);
+		});
+		lines.push('Or, as a BIND zone file:', '', manual.zonefile(dns, ttl));
+	}
+
+	if (http.length) {
+		lines.push('', 'Create these files:', '');
+		http.forEach(function (ch) {
+			lines.push(
+				'\tchallengeUrl: ' + ch.challengeUrl,
+				'\tkeyAuthorization: ' + ch.keyAuthorization,
+				''
+			);
+		});
+	}
+
+	return lines.join('\n');
+};
+
+// ; ACME dns-01 challenges
+// $ORIGIN example.com.
+// _acme-challenge 60 IN TXT "xxxx"
+manual.zonefile = function (challenges, ttl) {
+	var zones = {};
+	challenges.forEach(function (ch) {
+		if ('dns-01' !== ch.type) {
+			return;
+		}
+		var zone = ch.dnsZone && ch.dnsPrefix ? ch.dnsZone : '';
+		var name = zone ? ch.dnsPrefix : ch.dnsHost + '.';
+		zones[zone] = zones[zone] || [];
+		zones[zone].push(
+			name +
+				' ' +
+				(ttl || 60) +
+				' IN TXT "' +
+				(ch.keyAuthorizationDigest || ch.dnsAuthorization) +
+				'"'
+		);
+	});
+
+	var lines = ['; ACME dns-01 challenges'];
+	Object.keys(zones).forEach(function (zone) {
+		if (zone) {
+			lines.push('$ORIGIN ' + zone + '.');
+		}
+		lines = lines.concat(zones[zone]);
+	});
+	return lines.join('\n') + '\n';
+};
+
+manual.removeInstructions = function (ch) {
+	if ('dns-01' === ch.type) {
+		return (
+			'You may now remove the DNS TXT record ' +
+			ch.dnsHost +
+			' "' +
+			(ch.keyAuthorizationDigest || ch.dnsAuthorization) +
+			'"'
+		);
+	}
+	return 'You may now remove the file at ' + ch.challengeUrl;
+};
+
+manual._confirmStdin = function () {
+	return new Promise(function (resolve) {
+		var rl = readline.createInterface({
+			input: process.stdin,
+			output: process.stdout
+		});
+		rl.question(
+			'Press Enter once they are in place to continue... ',
+			function () {
+				rl.close();
+				resolve();
+			}
+		);
+	});
+};
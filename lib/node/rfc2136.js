@@ -0,0 +1,177 @@
+'use strict';
+
+var rfc2136 = module.exports;
+var packet = require('./dns-packet.js');
+var client = require('./dns-client.js');
+var tsig = require('./tsig.js');
+
+// A dns-01 challenge plugin for BIND, Knot, PowerDNS, etc, which adds and
+// removes the TXT records with TSIG-signed dynamic updates (RFC 2136)
+//
+//   var presenter = rfc2136.create({
+//     server: '192.0.2.53', // the primary (it must accept updates)
+//     key: { name: 'acme-key', algorithm: 'hmac-sha256', secret: '<base64>' }
+//   });
+//
+//   acme.certificates.create({ ..., challenges: { 'dns-01': presenter } });
+//
+// (the ACME server validates against the secondaries too, so you may need to
+// set a longer `propagationDelay` than the default 5000ms)
+rfc2136.create = function (opts) {
+	opts = opts || {};
+	if (!opts.server) {
+		throw new Error(
+			'rfc2136: `server` must be the address of the primary nameserver'
+		);
+	}
+	if (!opts.key || !opts.key.name || !opts.key.secret) {
+		throw new Error(
+			'rfc2136: `key` must be the TSIG key as { name, algorithm, secret }'
+		);
+	}
+	// fail early on a bad algorithm
+	tsig._algorithm(opts.key);
+
+	var ttl = 'number' === typeof opts.ttl ? opts.ttl : 60;
+	var dnsOpts = {
+		server: opts.server,
+		port: opts.port || 53,
+		timeout: opts.timeout || 5000,
+		tcp: opts.tcp
+	};
+
+	function query(name, type) {
+		return client.request(
+			{
+				header: { id: packet.id(), opcode: packet.opcodes.QUERY },
+				question: [{ name: name, type: type }]
+			},
+			dnsOpts
+		);
+	}
+
+	// The zone is the owner of the SOA that the primary gives back, either as
+	// the answer (for the apex) or as the authority (for anything below it)
+	function getZone(name) {
+		name = name.replace(/^\*\./, '');
+		return query(name, packet.types.SOA).then(function (res) {
+			var soa = res.answer.concat(res.authority).filter(function (rr) {
+				return packet.types.SOA === rr.type;
+			})[0];
+			if (!soa) {
+				var err = new Error(
+					"rfc2136: '" +
+						opts.server +
+						"' is not authoritative for '" +
+						name +
+						"' (" +
+						packet.rcodes[res.header.rcode] +
+						', no SOA)'
+				);
+				err.code = 'E_NO_ZONE';
+				throw err;
+			}
+			return soa.name.toLowerCase();
+		});
+	}
+
+	function update(zone, rr) {
+		var signed = tsig.sign(
+			packet.pack({
+				header: { id: packet.id(), opcode: packet.opcodes.UPDATE },
+				question: [{ name: zone, type: packet.types.SOA }],
+				authority: [rr]
+			}),
+			opts.key
+		);
+		return client.send(signed.message, dnsOpts).then(function (buf) {
+			var res = packet.unpack(buf);
+			var err;
+			var problem = tsig.verify(buf, res, opts.key, signed.mac);
+			if (res.header.rcode || problem) {
+				err = new Error(
+					"rfc2136: update of '" +
+						rr.name +
+						"' in zone '" +
+						zone +
+						"' failed: " +
+						(packet.rcodes[res.header.rcode] || res.header.rcode) +
+						(problem ? ' (' + problem + ')' : '')
+				);
+				err.code = 'E_DNS_UPDATE';
+				err.rcode = packet.rcodes[res.header.rcode];
+				throw err;
+			}
+			return null;
+		});
+	}
+
+	function txt(ch, cls) {
+		return {
+			name: ch.dnsHost,
+			type: packet.types.TXT,
+			// class NONE deletes only this record (RFC 2136 Section 2.5.4)
+			class: cls,
+			ttl: packet.classes.NONE === cls ? 0 : ttl,
+			data: ch.dnsAuthorization || ch.keyAuthorizationDigest
+		};
+	}
+
+	function zoneFor(ch) {
+		if (ch.dnsZone) {
+			return Promise.resolve(ch.dnsZone);
+		}
+		return getZone(ch.dnsHost);
+	}
+
+	return {
+		propagationDelay:
+			'number' === typeof opts.propagationDelay
+				? opts.propagationDelay
+				: 5000,
+		init: function () {
+			return Promise.resolve(null);
+		},
+		zones: function (data) {
+			return Promise.all(
+				(data.challenge.dnsHosts || []).map(function (host) {
+					return getZone(host).catch(function () {
+						return null;
+					});
+				})
+			).then(function (zones) {
+				return zones.filter(function (zone, i) {
+					return zone && i === zones.indexOf(zone);
+				});
+			});
+		},
+		set: function (data) {
+			var ch = data.challenge;
+			return zoneFor(ch).then(function (zone) {
+				return update(zone, txt(ch, packet.classes.IN));
+			});
+		},
+		get: function (data) {
+			var ch = data.challenge;
+			var value = ch.dnsAuthorization || ch.keyAuthorizationDigest;
+			return query(ch.dnsHost, packet.types.TXT).then(function (res) {
+				var found = res.answer.some(function (rr) {
+					return (
+						packet.types.TXT === rr.type &&
+						value === rr.data.join('')
+					);
+				});
+				if (!found) {
+					return null;
+				}
+				return { dnsAuthorization: value };
+			});
+		},
+		remove: function (data) {
+			var ch = data.challenge;
+			return zoneFor(ch).then(function (zone) {
+				return update(zone, txt(ch, packet.classes.NONE));
+			});
+		}
+	};
+};
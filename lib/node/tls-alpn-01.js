@@ -0,0 +1,113 @@
+'use strict';
+
+var alpn = module.exports;
+var tls = require('tls');
+
+// The ALPN protocol id for tls-alpn-01 (RFC 8737)
+alpn.protocol = 'acme-tls/1';
+
+// A tls-alpn-01 challenge plugin for Node's tls and https servers
+//
+//   var responder = alpn.create({ SNICallback, ALPNProtocols: ['http/1.1'] });
+//   https.createServer({
+//     SNICallback: responder.SNICallback,
+//     ALPNCallback: responder.ALPNCallback
+//   }, app);
+//   acme.certificates.create({ ..., challenges: { 'tls-alpn-01': responder } });
+//
+// Connections for a pending challenge's servername that negotiate 'acme-tls/1'
+// are given the challenge certificate. Everything else falls through to the
+// given `SNICallback` (or the server's default context) and `ALPNCallback`
+// (or `ALPNProtocols`, in server-preferred order).
+//
+// (ALPNCallback requires node v20+, and can't be used alongside ALPNProtocols)
+alpn.create = function (opts) {
+	opts = opts || {};
+	var challenges = {};
+
+	function lookup(servername) {
+		return challenges[String(servername || '').toLowerCase()];
+	}
+
+	var responder = {
+		set: function (data) {
+			var ch = data.challenge;
+			if (!ch.alpnCert || !ch.alpnKey) {
+				return Promise.reject(
+					new Error(
+						"tls-alpn-01 challenge for '" +
+							ch.altname +
+							"' is missing `alpnCert` and `alpnKey`"
+					)
+				);
+			}
+			challenges[ch.servername.toLowerCase()] = {
+				challenge: ch,
+				context: tls.createSecureContext({
+					cert: ch.alpnCert,
+					key: ch.alpnKey
+				})
+			};
+			return Promise.resolve(null);
+		},
+		get: function (data) {
+			var pending = lookup(data.challenge.servername);
+			if (!pending || pending.challenge.token !== data.challenge.token) {
+				return Promise.resolve(null);
+			}
+			return Promise.resolve({
+				keyAuthorization: pending.challenge.keyAuthorization
+			});
+		},
+		remove: function (data) {
+			var pending = lookup(data.challenge.servername);
+			if (pending && pending.challenge.token === data.challenge.token) {
+				delete challenges[data.challenge.servername.toLowerCase()];
+			}
+			return Promise.resolve(null);
+		}
+	};
+
+	// With TLS 1.3 Node calls this before SNICallback (with the same socket as
+	// `this`), but with TLS 1.2 it's after, by which time the certificate has
+	// already been chosen, and 'acme-tls/1' must not be negotiated without the
+	// challenge certificate (the handshake fails instead)
+	responder.ALPNCallback = function (hello) {
+		var protocols = hello.protocols || [];
+		if (
+			-1 !== protocols.indexOf(alpn.protocol) &&
+			lookup(hello.servername) &&
+			false !== this._acmeTlsAlpn01Served
+		) {
+			this._acmeTlsAlpn01 = true;
+			return alpn.protocol;
+		}
+		if (opts.ALPNCallback) {
+			return opts.ALPNCallback.call(this, hello);
+		}
+		// (as with Node's https server, 'http/1.1' is the default)
+		return (opts.ALPNProtocols || ['http/1.1']).filter(function (p) {
+			return -1 !== protocols.indexOf(p);
+		})[0];
+	};
+
+	responder.SNICallback = function (servername, cb) {
+		var pending = lookup(servername);
+		var served = !!(this && this._acmeTlsAlpn01 && pending);
+		if (this) {
+			this._acmeTlsAlpn01Served = served;
+		}
+		if (served) {
+			cb(null, pending.context);
+			return;
+		}
+		if (opts.SNICallback) {
+			opts.SNICallback.call(this, servername, cb);
+			return;
+		}
+		// the server's default context
+		cb(null, null);
+	};
+
+	return responder;
+};
@@ -0,0 +1,177 @@
+'use strict';
+
+var tsig = module.exports;
+var crypto = require('crypto');
+var packet = require('./dns-packet.js');
+
+// Transaction signatures for DNS messages (RFC 8945)
+//
+// key = { name: 'acme-key', algorithm: 'hmac-sha256', secret: '<base64>' }
+
+tsig.algorithms = {
+	'hmac-md5': { name: 'hmac-md5.sig-alg.reg.int', hash: 'md5' },
+	'hmac-sha1': { name: 'hmac-sha1', hash: 'sha1' },
+	'hmac-sha224': { name: 'hmac-sha224', hash: 'sha224' },
+	'hmac-sha256': { name: 'hmac-sha256', hash: 'sha256' },
+	'hmac-sha384': { name: 'hmac-sha384', hash: 'sha384' },
+	'hmac-sha512': { name: 'hmac-sha512', hash: 'sha512' }
+};
+
+// seconds of clock skew that the server may allow
+tsig.fudge = 300;
+
+tsig._algorithm = function (key) {
+	var name = String(key.algorithm || 'hmac-sha256')
+		.toLowerCase()
+		.replace(/\.$/, '')
+		.replace(/\.sig-alg\.reg\.int$/, '');
+	var alg = tsig.algorithms[name];
+	if (!alg) {
+		throw new Error(
+			"unsupported TSIG algorithm '" +
+				key.algorithm +
+				"' (use one of " +
+				Object.keys(tsig.algorithms).join(', ') +
+				')'
+		);
+	}
+	return alg;
+};
+
+// 48-bit seconds since the epoch
+function packTime(secs) {
+	var buf = Buffer.alloc(6);
+	buf.writeUInt16BE(Math.floor(secs / 0x100000000), 0);
+	buf.writeUInt32BE(secs % 0x100000000, 2);
+	return buf;
+}
+
+function u16(n) {
+	var buf = Buffer.alloc(2);
+	buf.writeUInt16BE(n, 0);
+	return buf;
+}
+
+// the "TSIG variables" which are signed along with the message
+function variables(keyName, algName, time, fudge, error, other) {
+	var classTtl = Buffer.alloc(6);
+	classTtl.writeUInt16BE(packet.classes.ANY, 0);
+	return Buffer.concat([
+		packet.packName(keyName.toLowerCase()),
+		classTtl,
+		packet.packName(algName.toLowerCase()),
+		time,
+		u16(fudge),
+		u16(error),
+		u16(other.length),
+		other
+	]);
+}
+
+function hmac(key, alg, bufs) {
+	var mac = crypto.createHmac(alg.hash, Buffer.from(key.secret, 'base64'));
+	bufs.forEach(function (buf) {
+		mac.update(buf);
+	});
+	return mac.digest();
+}
+
+// Sign a packed message, returning the signed message and its MAC
+// (which is needed to verify the response)
+tsig.sign = function (msg, key, now) {
+	var alg = tsig._algorithm(key);
+	var time = packTime(Math.floor((now || Date.now()) / 1000));
+	var empty = Buffer.alloc(0);
+	var mac = hmac(key, alg, [
+		msg,
+		variables(key.name, alg.name, time, tsig.fudge, 0, empty)
+	]);
+
+	var rdata = Buffer.concat([
+		packet.packName(alg.name),
+		time,
+		u16(tsig.fudge),
+		u16(mac.length),
+		mac,
+		// original id
+		msg.slice(0, 2),
+		// error
+		u16(0),
+		// other len
+		u16(0)
+	]);
+	var rr = packet.packRecord({
+		name: key.name,
+		type: packet.types.TSIG,
+		class: packet.classes.ANY,
+		ttl: 0,
+		rdata: rdata
+	});
+
+	var signed = Buffer.concat([msg, rr]);
+	// ARCOUNT + 1
+	signed.writeUInt16BE(msg.readUInt16BE(10) + 1, 10);
+	return { message: signed, mac: mac };
+};
+
+// Parse the TSIG record (which must be the last one) of an unpacked message
+tsig.parse = function (res) {
+	var rr = res.additional[res.additional.length - 1];
+	if (!rr || packet.types.TSIG !== rr.type) {
+		return null;
+	}
+	var rdata = rr.rdata;
+	var alg = packet.unpackName(rdata, 0);
+	var i = alg.end;
+	var macLen = rdata.readUInt16BE(i + 8);
+	var mac = rdata.slice(i + 10, i + 10 + macLen);
+	i += 10 + macLen;
+	return {
+		name: rr.name,
+		algorithm: alg.name,
+		time: rdata.slice(alg.end, alg.end + 6),
+		fudge: rdata.readUInt16BE(alg.end + 6),
+		mac: mac,
+		originalId: rdata.readUInt16BE(i),
+		error: rdata.readUInt16BE(i + 2),
+		other: rdata.slice(i + 6, i + 6 + rdata.readUInt16BE(i + 4)),
+		_start: rr._start
+	};
+};
+
+// Check the response's signature, given the MAC of the request
+// (returns an error message, or nothing if the signature is good)
+tsig.verify = function (buf, res, key, requestMac) {
+	var sig = tsig.parse(res);
+	if (!sig) {
+		return 'response is not signed';
+	}
+	if (sig.error) {
+		return (
+			'server rejected the signature: ' +
+			(packet.rcodes[sig.error] || sig.error)
+		);
+	}
+	if (sig.name.toLowerCase() !== key.name.toLowerCase().replace(/\.$/, '')) {
+		return "response is signed by a different key '" + sig.name + "'";
+	}
+
+	var alg = tsig._algorithm(key);
+	// the message as it was before the TSIG record was added
+	var unsigned = Buffer.from(buf.slice(0, sig._start));
+	unsigned.writeUInt16BE(sig.originalId, 0);
+	unsigned.writeUInt16BE(unsigned.readUInt16BE(10) - 1, 10);
+
+	var expected = hmac(key, alg, [
+		u16(requestMac.length),
+		requestMac,
+		unsigned,
+		variables(key.name, alg.name, sig.time, sig.fudge, sig.error, sig.other)
+	]);
+	if (
+		expected.length !== sig.mac.length ||
+		!crypto.timingSafeEqual(expected, sig.mac)
+	) {
+		return 'bad signature on response';
+	}
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+var webroot = module.exports;
+var path = require('path');
+var fs = require('fs');
+var promisify = require('util').promisify;
+var mkdir = promisify(fs.mkdir);
+var readFile = promisify(fs.readFile);
+var writeFile = promisify(fs.writeFile);
+var unlink = promisify(fs.unlink);
+
+// same as ACME.challengePrefixes['http-01']
+webroot.prefix = '.well-known/acme-challenge';
+
+// An http-01 challenge plugin that writes key authorizations into the
+// webroot of an existing web server (such as nginx)
+//
+//   var presenter = webroot.create({
+//     webroot: '/srv/www/default',
+//     webroots: { 'example.com': '/srv/www/example.com' }
+//   });
+//
+// Files are written to <webroot>/.well-known/acme-challenge/<token>, where the
+// webroot is that of the exact domain, or of its wildcard ('*.example.com'),
+// or else the default `webroot`.
+webroot.create = function (opts) {
+	opts = opts || {};
+	var webroots = opts.webroots || {};
+
+	function getWebroot(hostname) {
+		hostname = String(hostname || '').toLowerCase();
+		var wild = '*.' + hostname.split('.').slice(1).join('.');
+		var dir = webroots[hostname] || webroots[wild] || opts.webroot;
+		if (!dir) {
+			var err = new Error(
+				"no webroot is configured for '" +
+					hostname +
+					"' (set `webroot`, or `webroots['" +
+					hostname +
+					"']`)"
+			);
+			err.code = 'E_NO_WEBROOT';
+			throw err;
+		}
+		return dir;
+	}
+
+	// the token becomes a filename, so it must be base64url and nothing else
+	// (no '/', '..', etc)
+	function getFilepath(ch) {
+		if (!/^[\w-]+$/.test(ch.token || '')) {
+			var err = new Error(
+				"refusing to use unsafe http-01 token '" + ch.token + "'"
+			);
+			err.code = 'E_UNSAFE_TOKEN';
+			throw err;
+		}
+		return path.join(getWebroot(ch.hostname), webroot.prefix, ch.token);
+	}
+
+	return {
+		init: function () {
+			return Promise.resolve(null);
+		},
+		set: function (data) {
+			var ch = data.challenge;
+			return Promise.resolve()
+				.then(function () {
+					return getFilepath(ch);
+				})
+				.then(function (filepath) {
+					return mkdir(path.dirname(filepath), {
+						recursive: true
+					}).then(function () {
+						return writeFile(filepath, ch.keyAuthorization, 'utf8');
+					});
+				})
+				.then(function () {
+					return null;
+				});
+		},
+		get: function (data) {
+			return Promise.resolve()
+				.then(function () {
+					return readFile(getFilepath(data.challenge), 'utf8');
+				})
+				.then(
+					function (keyAuth) {
+						return { keyAuthorization: keyAuth };
+					},
+					function (err) {
+						if ('ENOENT' === err.code) {
+							return null;
+						}
+						throw err;
+					}
+				);
+		},
+		remove: function (data) {
+			return Promise.resolve()
+				.then(function () {
+					return unlink(getFilepath(data.challenge));
+				})
+				.catch(function (err) {
+					if ('ENOENT' !== err.code) {
+						throw err;
+					}
+				})
+				.then(function () {
+					return null;
+				});
+		}
+	};
+};
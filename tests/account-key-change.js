@@ -0,0 +1,102 @@
+'use strict';
+
+var Keypairs = require('@root/keypairs');
+var Fake = require('./fake-acme.js');
+
+var accountKey = Fake.accountKey;
+var directory = Fake.directory;
+var kid = Fake.kid;
+var decode = Fake.decode;
+var signedBy = Fake.signedBy;
+
+module.exports = function () {
+	console.info('\n[Test] can roll over an account key');
+
+	var acme;
+	var newPair;
+
+	return Keypairs.generate({ kty: 'EC' })
+		.then(function (pair) {
+			newPair = pair;
+			// the account is looked up by the old key, as it's not given
+			acme = Fake.create(true);
+			return acme.accounts.rollover({
+				accountKey: accountKey,
+				newAccountKey: newPair.private
+			});
+		})
+		.then(function (account) {
+			var reqs = acme._requests;
+			var outer = reqs[1].json;
+			var inner = reqs[1].payload;
+			var outerHeader = reqs[1].protected;
+			var innerHeader = decode(inner.protected);
+			var change = decode(inner.payload);
+			if (
+				2 !== reqs.length ||
+				true !== reqs[0].payload.onlyReturnExisting ||
+				kid !== account.key.kid
+			) {
+				console.error(reqs);
+				throw new Error('account was not looked up by its old key');
+			}
+			// RFC 8555 7.3.5: the old key (by kid) signs the outer JWS
+			if (
+				kid !== outerHeader.kid ||
+				outerHeader.jwk ||
+				directory.keyChange !== outerHeader.url ||
+				!signedBy(outer, accountKey)
+			) {
+				console.error(outerHeader);
+				throw new Error('outer JWS was not signed by the old key');
+			}
+			// and the new key (by jwk, and without a nonce) signs the inner
+			if (
+				innerHeader.kid ||
+				innerHeader.nonce ||
+				newPair.public.x !== innerHeader.jwk.x ||
+				directory.keyChange !== innerHeader.url ||
+				!signedBy(inner, newPair.public) ||
+				signedBy(inner, accountKey)
+			) {
+				console.error(innerHeader);
+				throw new Error('inner JWS was not signed by the new key');
+			}
+			if (kid !== change.account || accountKey.x !== change.oldKey.x) {
+				console.error(change);
+				throw new Error('inner JWS does not name the old key');
+			}
+
+			// and without an account, rollover mustn't create one
+			acme = Fake.create(false);
+			return acme.accounts.rollover({
+				accountKey: accountKey,
+				newAccountKey: newPair.private
+			});
+		})
+		.then(
+			function () {
+				throw new Error('rolled over an account that was not found');
+			},
+			function (err) {
+				var reqs = acme._requests;
+				if (
+					'E_ACCOUNT_DOES_NOT_EXIST' !== err.code ||
+					1 !== reqs.length ||
+					true !== reqs[0].payload.onlyReturnExisting
+				) {
+					throw err;
+				}
+			}
+		)
+		.then(function () {
+			console.info('PASS');
+		});
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,70 @@
+'use strict';
+
+var Fake = require('./fake-acme.js');
+
+var accountKey = Fake.accountKey;
+var kid = Fake.kid;
+
+module.exports = function () {
+	console.info('\n[Test] can look up an existing account by its key');
+
+	var acme = Fake.create(true);
+
+	return acme.accounts
+		.get({ accountKey: accountKey })
+		.then(function (account) {
+			var req = acme._requests[0];
+			// the account url (its kid) is the Location of the response
+			if (
+				1 !== acme._requests.length ||
+				Fake.directory.newAccount !== req.url ||
+				true !== req.payload.onlyReturnExisting ||
+				req.protected.kid ||
+				accountKey.x !== req.protected.jwk.x ||
+				kid !== account.key.kid
+			) {
+				console.error(acme._requests, account);
+				throw new Error('account was not looked up by its key');
+			}
+
+			acme = Fake.create(false);
+			return acme.accounts.get({ accountKey: accountKey });
+		})
+		.then(
+			function () {
+				throw new Error('found an account that does not exist');
+			},
+			function (err) {
+				if (
+					'E_ACCOUNT_DOES_NOT_EXIST' !== err.code ||
+					!/:accountDoesNotExist$/.test(err.urn) ||
+					'No account exists' !== err.detail
+				) {
+					throw err;
+				}
+
+				// a missing key is a rejection, not a throw
+				var pending;
+				try {
+					pending = acme.accounts.get({});
+				} catch (e) {
+					throw new Error('accounts.get() threw: ' + e.message);
+				}
+				return pending.then(
+					function () {
+						throw new Error('found an account without a key');
+					},
+					function () {
+						console.info('PASS');
+					}
+				);
+			}
+		);
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,107 @@
+'use strict';
+
+var Fake = require('./fake-acme.js');
+
+var accountKey = Fake.accountKey;
+var kid = Fake.kid;
+var ordersUrl = kid + '/orders';
+var base = 'https://acme-staging-v02.api.letsencrypt.org/acme/order/';
+
+// two pages of orders, the second of which (wrongly) links to itself
+function handle(req) {
+	if (kid === req.url) {
+		return { body: { status: 'valid', orders: ordersUrl } };
+	}
+	if (ordersUrl === req.url) {
+		return {
+			headers: { link: '<orders?cursor=2>;rel="next"' },
+			body: { orders: [base + 'a', base + 'b'] }
+		};
+	}
+	if (ordersUrl + '?cursor=2' === req.url) {
+		return {
+			headers: {
+				link: [
+					'<https://acme-staging-v02.api.letsencrypt.org/directory>;rel="index"',
+					'<?cursor=2>; rel="next"'
+				]
+			},
+			body: { orders: [base + 'c'] }
+		};
+	}
+	return {
+		body: { status: 'valid', finalize: req.url + '/finalize' }
+	};
+}
+
+module.exports = function () {
+	console.info("\n[Test] can list an account's orders");
+
+	var acme = Fake.create(true, handle);
+
+	return acme.accounts
+		.orders({ accountKey: accountKey })
+		.then(function (orders) {
+			var urls = acme._requests.map(function (req) {
+				return req.url;
+			});
+			var expected = [
+				Fake.directory.newAccount,
+				kid,
+				ordersUrl,
+				ordersUrl + '?cursor=2',
+				base + 'a',
+				base + 'b',
+				base + 'c'
+			];
+			// each is a POST-as-GET, by the account's kid
+			var postAsGets = acme._requests.slice(1).every(function (req) {
+				return kid === req.protected.kid && '' === req.payload;
+			});
+			if (expected.join() !== urls.join() || !postAsGets) {
+				console.error(urls);
+				throw new Error('orders were not listed page by page');
+			}
+			var ok = orders.every(function (order, i) {
+				var url = base + 'abc'[i];
+				return (
+					url === order._orderUrl &&
+					url + '/finalize' === order._finalizeUrl
+				);
+			});
+			if (3 !== orders.length || !ok) {
+				console.error(orders);
+				throw new Error('orders do not have their urls');
+			}
+
+			// and without an account, listing mustn't create one
+			acme = Fake.create(false, handle);
+			return acme.accounts.orders({ accountKey: accountKey });
+		})
+		.then(
+			function () {
+				throw new Error(
+					'listed orders of an account that was not found'
+				);
+			},
+			function (err) {
+				var reqs = acme._requests;
+				if (
+					'E_ACCOUNT_DOES_NOT_EXIST' !== err.code ||
+					1 !== reqs.length ||
+					true !== reqs[0].payload.onlyReturnExisting
+				) {
+					console.error(reqs);
+					throw err;
+				}
+				console.info('PASS');
+			}
+		);
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,126 @@
+'use strict';
+
+var Fake = require('./fake-acme.js');
+
+var accountKey = Fake.accountKey;
+var kid = Fake.kid;
+
+// the server's account is whatever was asked for
+function echo(req) {
+	return { body: req.payload };
+}
+
+// resolves with the error code of an update to the contact
+function rejected(contact, problem) {
+	var acme = Fake.create(true, function (req) {
+		if (problem) {
+			return Fake.problem(400, problem, 'not this contact');
+		}
+		return echo(req);
+	});
+	return acme.accounts
+		.update({ kid: kid, accountKey: accountKey, contact: contact })
+		.then(
+			function () {
+				return 'updated ' + contact;
+			},
+			function (err) {
+				// those that are checked here aren't sent to the server
+				var sent = acme._requests.length ? 'sent ' : '';
+				return sent + err.code;
+			}
+		);
+}
+
+module.exports = function () {
+	console.info('\n[Test] can update (and deactivate) an existing account');
+
+	var acme;
+	var contact = ['mailto:certs@example.com'];
+
+	// the account is looked up by its key, as it's not given
+	acme = Fake.create(true, echo);
+	return acme.accounts
+		.update({ accountKey: accountKey, contact: contact })
+		.then(function (account) {
+			var reqs = acme._requests;
+			if (
+				2 !== reqs.length ||
+				true !== reqs[0].payload.onlyReturnExisting ||
+				kid !== reqs[1].url ||
+				kid !== reqs[1].protected.kid ||
+				contact.join() !== account.contact.join() ||
+				kid !== account.key.kid
+			) {
+				console.error(reqs, account);
+				throw new Error('account was not updated by its url');
+			}
+
+			// and without an account, neither may create one
+			acme = Fake.create(false, echo);
+			return acme.accounts.update({
+				accountKey: accountKey,
+				contact: contact
+			});
+		})
+		.then(
+			function () {
+				throw new Error('updated an account that was not found');
+			},
+			function (err) {
+				if ('E_ACCOUNT_DOES_NOT_EXIST' !== err.code) {
+					throw err;
+				}
+				return acme.accounts.deactivate({ accountKey: accountKey });
+			}
+		)
+		.then(
+			function () {
+				throw new Error('deactivated an account that was not found');
+			},
+			function (err) {
+				var lookups = acme._requests.filter(function (req) {
+					return true === req.payload.onlyReturnExisting;
+				});
+				if (
+					'E_ACCOUNT_DOES_NOT_EXIST' !== err.code ||
+					2 !== acme._requests.length ||
+					2 !== lookups.length
+				) {
+					console.error(acme._requests);
+					throw err;
+				}
+
+				return Promise.all([
+					rejected(['mailto:a@example.com,b@example.com']),
+					rejected(['mailto:a@example.com?subject=certs']),
+					rejected(['mailto:not-an-address']),
+					rejected(['tel:+15555550100']),
+					rejected(contact, 'invalidContact'),
+					rejected(contact, 'unsupportedContact')
+				]);
+			}
+		)
+		.then(function (codes) {
+			var expected = [
+				'E_INVALID_CONTACT',
+				'E_INVALID_CONTACT',
+				'E_INVALID_CONTACT',
+				'E_INVALID_CONTACT',
+				'sent E_INVALID_CONTACT',
+				'sent E_UNSUPPORTED_CONTACT'
+			];
+			if (expected.join() !== codes.join()) {
+				console.error(codes);
+				throw new Error('bad contact errors');
+			}
+			console.info('PASS');
+		});
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,229 @@
+'use strict';
+
+var ACME = require('../');
+var accountKey = require('../fixtures/account.jwk.json').private;
+
+function presenter() {
+	return {
+		set: function () {
+			return Promise.resolve(null);
+		},
+		get: function () {
+			return Promise.resolve(null);
+		},
+		remove: function () {
+			return Promise.resolve(null);
+		}
+	};
+}
+
+function claim(altname, types) {
+	return {
+		identifier: { type: 'dns', value: altname.replace(/^\*\./, '') },
+		wildcard: '*.' === altname.slice(0, 2) || undefined,
+		challenges: types.map(function (type) {
+			return { type: type };
+		})
+	};
+}
+
+// http-01 fails the dry run, tls-alpn-01 can't be checked (as in a browser),
+// and dns-01 passes, and so the order must use dns-01, not tls-alpn-01
+function dryRun() {
+	var set = [];
+	var me = {
+		_canCheck: { 'http-01': true, 'dns-01': true },
+		retryInterval: 10,
+		http01: function () {
+			return Promise.resolve('not the key authorization');
+		},
+		dns01: function (ch) {
+			return Promise.resolve({
+				answer: [{ data: [ch.dnsAuthorization] }]
+			});
+		}
+	};
+	var challenges = {};
+	['http-01', 'tls-alpn-01', 'dns-01'].forEach(function (type) {
+		var p = presenter();
+		p.propagationDelay = 1;
+		p.set = function (opts) {
+			set.push(opts.challenge.type);
+			return Promise.resolve(null);
+		};
+		challenges[type] = p;
+	});
+	var options = {
+		domains: ['example.com'],
+		accountKey: accountKey,
+		challenges: challenges
+	};
+	ACME._normalizePresenters(me, options, options.challenges);
+	var zonenames = ['example.com'];
+
+	return ACME._dryRun(me, options, zonenames)
+		.then(function () {
+			if (
+				'http-01,dns-01' !== set.join() ||
+				'dns-01' !== options._passedTypes['example.com'] ||
+				'http-01' !== options._failedTypes['example.com'].join()
+			) {
+				console.error(set, options._passedTypes, options._failedTypes);
+				throw new Error(
+					'the type that passed the dry run was not kept'
+				);
+			}
+			set = [];
+
+			// as the CA would offer them
+			var authz = claim('example.com', [
+				'http-01',
+				'tls-alpn-01',
+				'dns-01'
+			]);
+			authz.challenges.forEach(function (ch, i) {
+				ch.token = 'token-' + i;
+			});
+			return ACME._computeAuths(me, options, '', authz, zonenames);
+		})
+		.then(function (auths) {
+			var authz = claim('example.com', []);
+			authz.challenges = auths;
+			me.skipChallengeTest = true;
+			return ACME._setChallenges(me, options, { _claims: [authz] });
+		})
+		.then(function () {
+			if ('dns-01' !== set.join()) {
+				console.error(set);
+				throw new Error('the order did not use the type that passed');
+			}
+		});
+}
+
+module.exports = function () {
+	console.info('\n[Test] can route (and prefer) challenges by domain');
+
+	var routes = {
+		'*.example.com': 1,
+		'*.a.example.com': 2,
+		'a.example.com': 3,
+		'*': 4
+	};
+	var expected = {
+		'*.a.example.com': 2,
+		'b.a.example.com': 2,
+		'a.example.com': 3,
+		'x.example.com': 1,
+		'example.com': 4,
+		'example.net': 4
+	};
+	Object.keys(expected).forEach(function (altname) {
+		var route = ACME._matchRoute(routes, altname);
+		if (expected[altname] !== route) {
+			console.error(altname, route);
+			throw new Error('bad route for ' + altname);
+		}
+	});
+
+	// a mistyped challenge type is an error, not a route
+	var typo = { http01: presenter() };
+	var unknown;
+	try {
+		ACME._normalizePresenters({}, {}, typo);
+	} catch (e) {
+		unknown = e;
+	}
+	if (
+		ACME._isRouted(typo) ||
+		!/unknown challenge type 'http01'/.test(unknown)
+	) {
+		console.error(unknown);
+		throw new Error('mistyped challenge type was taken as a route');
+	}
+
+	var dnsA = presenter();
+	var http = presenter();
+	var dnsB = presenter();
+	var me = {};
+	var options = {
+		domains: ['example.com', '*.internal.example.com', 'shop.example.net'],
+		challenges: {
+			'*.internal.example.com': { 'dns-01': dnsA },
+			'*': { 'http-01': http, 'dns-01': dnsB }
+		}
+	};
+	ACME._normalizePresenters(me, options, options.challenges);
+	var types = ['http-01', 'dns-01'];
+
+	function choose(altname) {
+		var ch = ACME._chooseChallenge(options, claim(altname, types));
+		return ch && ch.type;
+	}
+
+	return ACME._routeChallenges(me, options)
+		.then(function () {
+			var internal = ACME._presentersFor(
+				options,
+				'*.internal.example.com'
+			);
+			if (
+				'http-01,dns-01' !== options._presenterTypes.join() ||
+				dnsA !== internal['dns-01'] ||
+				'http-01' !== choose('example.com') ||
+				'dns-01' !== choose('*.internal.example.com')
+			) {
+				console.error(options._routes);
+				throw new Error('challenges were not routed by pattern');
+			}
+
+			options.challengePolicy = ['dns-01', 'http-01'];
+			var first = choose('example.com');
+			options.challengePolicy = function (authz, offered) {
+				return offered.length > 1 ? 'dns-01' : offered[0].type;
+			};
+			if ('dns-01' !== first || 'dns-01' !== choose('example.com')) {
+				throw new Error('challengePolicy was not followed');
+			}
+			delete options.challengePolicy;
+
+			// the type that passed the dry run comes first
+			options._passedTypes = { 'example.com': 'dns-01' };
+			if ('dns-01' !== choose('example.com')) {
+				throw new Error(
+					'the type that passed the dry run was not used'
+				);
+			}
+			delete options._passedTypes;
+
+			options.challenges = function (altname) {
+				if ('shop.example.net' === altname) {
+					return Promise.resolve({ 'dns-01': dnsB });
+				}
+				return { 'http-01': http };
+			};
+			return ACME._routeChallenges(me, options);
+		})
+		.then(function () {
+			var shop = { altname: 'shop.example.net', type: 'dns-01' };
+			if (
+				'dns-01' !== choose('shop.example.net') ||
+				dnsB !== ACME._presenter(options, shop) ||
+				2 !== ACME._allPresenters(options).length
+			) {
+				console.error(options._routes);
+				throw new Error('challenges were not routed by function');
+			}
+
+			return dryRun();
+		})
+		.then(function () {
+			console.info('PASS');
+		});
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,119 @@
+'use strict';
+
+var ACME = require('../');
+var pkg = require('../package.json');
+var accountKey = require('../fixtures/account.jwk.json').private;
+
+function presenter(store) {
+	return {
+		propagationDelay: 1,
+		propagationTimeout: 0,
+		zones: function () {
+			return Promise.resolve(['example.com']);
+		},
+		set: function (opts) {
+			var ch = opts.challenge;
+			store[ch.altname + ' ' + ch.type] = ch;
+			return Promise.resolve(null);
+		},
+		get: function () {
+			return Promise.resolve(null);
+		},
+		remove: function (opts) {
+			var ch = opts.challenge;
+			delete store[ch.altname + ' ' + ch.type];
+			return Promise.resolve(null);
+		}
+	};
+}
+
+module.exports = function () {
+	console.info('\n[Test] can test challenges without the CA');
+
+	var store = {};
+	var acme = ACME.create({
+		maintainerEmail: 'test@example.com',
+		packageAgent: 'test-' + pkg.name + '/' + pkg.version,
+		// as if the records had been served (except for bad.example.com)
+		http01: function (ch) {
+			var served = store[ch.altname + ' ' + ch.type];
+			if (/^bad\./.test(ch.hostname)) {
+				served = null;
+			}
+			return Promise.resolve(served && served.keyAuthorization);
+		},
+		dns01: function (ch) {
+			var served = store[ch.altname + ' ' + ch.type];
+			return Promise.resolve({
+				answer: served ? [{ data: [served.dnsAuthorization] }] : []
+			});
+		}
+	});
+	acme._canCheck = { 'http-01': true, 'dns-01': true };
+
+	return acme.challenges
+		.test({
+			domains: ['example.com', '*.example.com', 'bad.example.com'],
+			accountKey: accountKey,
+			challenges: {
+				'http-01': presenter(store),
+				'dns-01': presenter(store)
+			}
+		})
+		.then(function (report) {
+			var bad = report['bad.example.com'];
+			if (
+				'passed' !== report['example.com']['http-01'].status ||
+				'passed' !== report['example.com']['dns-01'].status ||
+				'skipped' !== report['*.example.com']['http-01'].status ||
+				'passed' !== report['*.example.com']['dns-01'].status ||
+				'failed' !== bad['http-01'].status ||
+				!/HTTP-01/.test(bad['http-01'].reason) ||
+				'passed' !== bad['dns-01'].status
+			) {
+				console.error(report);
+				throw new Error('bad challenge test report');
+			}
+			if (Object.keys(store).length) {
+				console.error(store);
+				throw new Error('test challenges were not removed');
+			}
+
+			// one presenter failing fails only its own challenges
+			var http01 = presenter(store);
+			http01.set = function () {
+				return Promise.reject(new Error('webroot is read-only'));
+			};
+			return acme.challenges.test({
+				domains: ['example.com', 'bad.example.com'],
+				accountKey: accountKey,
+				challenges: {
+					'http-01': http01,
+					'dns-01': presenter(store)
+				}
+			});
+		})
+		.then(function (report) {
+			var altnames = ['example.com', 'bad.example.com'];
+			var scoped = altnames.every(function (altname) {
+				var http01 = report[altname]['http-01'];
+				return (
+					'failed' === http01.status &&
+					'webroot is read-only' === http01.reason &&
+					'passed' === report[altname]['dns-01'].status
+				);
+			});
+			if (!scoped) {
+				console.error(report);
+				throw new Error("set() failed other presenters' challenges");
+			}
+			console.info('PASS');
+		});
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,115 @@
+'use strict';
+
+var CSR = require('@root/csr');
+var Enc = require('@root/encoding/base64');
+var Keypairs = require('@root/keypairs');
+var ACME = require('../');
+
+function presenter() {
+	return {
+		set: function () {
+			return Promise.resolve(null);
+		},
+		get: function () {
+			return Promise.resolve(null);
+		},
+		remove: function () {
+			return Promise.resolve(null);
+		}
+	};
+}
+
+module.exports = function () {
+	console.info('\n[Test] can request (and explain) custom validity periods');
+
+	var csr;
+
+	// resolves with the options, or the error
+	function prep(dates) {
+		var me = {};
+		var options = {
+			csr: csr,
+			domains: ['example.com'],
+			challenges: { 'http-01': presenter() },
+			notBefore: dates[0],
+			notAfter: dates[1]
+		};
+		ACME._normalizePresenters(me, options, options.challenges);
+		return ACME._prepRequest(me, options).then(
+			function () {
+				return options;
+			},
+			function (err) {
+				return err;
+			}
+		);
+	}
+
+	return Keypairs.generate({ kty: 'EC' })
+		.then(function (pair) {
+			return CSR.csr({
+				jwk: pair.private,
+				domains: ['example.com'],
+				encoding: 'der'
+			});
+		})
+		.then(function (der) {
+			csr = Enc.bufToUrlBase64(der);
+			return Promise.all([
+				prep([
+					new Date('2030-01-01T00:00:00.000Z'),
+					'2030-03-01T12:30:00+01:00'
+				]),
+				prep(['2030-01-01', undefined]),
+				prep(['not a date', undefined]),
+				prep(['2030-03-01T00:00:00Z', new Date('2030-01-01T00:00:00Z')])
+			]);
+		})
+		.then(function (results) {
+			// RFC 3339, in UTC, without milliseconds
+			if (
+				'2030-01-01T00:00:00Z' !== results[0]._notBefore ||
+				'2030-03-01T11:30:00Z' !== results[0]._notAfter ||
+				'2030-01-01T00:00:00Z' !== results[1]._notBefore ||
+				undefined !== results[1]._notAfter
+			) {
+				console.error(results[0], results[1]);
+				throw new Error('bad validity period dates');
+			}
+			if (!/`notBefore` must be a Date/.test(results[2].message)) {
+				console.error(results[2]);
+				throw new Error('invalid date was not rejected');
+			}
+			if (!/must be later than `notBefore`/.test(results[3].message)) {
+				console.error(results[3]);
+				throw new Error('notAfter before notBefore was not rejected');
+			}
+
+			// only a rejection of the dates is said to be about them
+			var request = { notBefore: '2030-01-01T00:00:00Z' };
+			var urn = 'urn:ietf:params:acme:error:malformed';
+			var dates = {
+				urn: urn,
+				detail: 'NotBefore and NotAfter are not supported'
+			};
+			var other = { urn: urn, detail: 'Invalid identifiers requested' };
+			var err = ACME._orderError(request, dates);
+			if (
+				'E_CUSTOM_VALIDITY' !== err.code ||
+				dates !== err.cause ||
+				other !== ACME._orderError(request, other) ||
+				dates !== ACME._orderError({}, dates)
+			) {
+				console.error(err);
+				throw new Error('bad custom validity error');
+			}
+			console.info('PASS');
+		});
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,264 @@
+'use strict';
+
+var dgram = require('dgram');
+var ACME = require('../acme.js');
+var packet = require('../lib/node/dns-packet.js');
+var dnsCheck = require('../lib/node/dns-check.js');
+
+var txt = 'iQiMcQUDiAeD0TJV1RHJuGnI5D2-PuSpxKz9JqUaZ2M';
+
+function soa(name) {
+	var zone = /example\.(com|net)$/.exec(name)[0];
+	return {
+		name: zone,
+		type: packet.types.SOA,
+		ttl: 60,
+		data: {
+			mname: 'ns1.' + zone,
+			rname: 'hostmaster.' + zone,
+			serial: 1,
+			refresh: 3600,
+			retry: 600,
+			expire: 86400,
+			minimum: 60
+		}
+	};
+}
+
+// A stand-in for an authoritative server of example.com and example.net
+// (with `lowercase` it doesn't preserve the case of the question, like a
+// spoofed or mangled response)
+function createServer(records, lowercase) {
+	var server = dgram.createSocket('udp4');
+	server.queries = 0;
+	server.on('message', function (buf, rinfo) {
+		server.queries += 1;
+		var req = packet.unpack(buf);
+		var q = req.question[0];
+		var name = q.name.toLowerCase();
+		var res = {
+			header: { id: req.header.id, qr: 1, aa: 1 },
+			question: [
+				{
+					name: lowercase ? name : q.name,
+					type: q.type,
+					class: q.class
+				}
+			],
+			answer: [],
+			authority: []
+		};
+		if (!/(^|\.)example\.(com|net)$/.test(name)) {
+			res.header.aa = 0;
+			res.header.rcode = 5; // REFUSED
+		} else if (packet.types.SOA === q.type) {
+			// as a recursive resolver would answer (following CNAMEs)
+			if (/^example\.(com|net)$/.test(name)) {
+				res.answer.push(soa(name));
+			} else if (records[name] && records[name].cname) {
+				res.answer.push({
+					name: q.name,
+					type: packet.types.CNAME,
+					ttl: 60,
+					data: records[name].cname
+				});
+				res.authority.push(soa(records[name].cname));
+			} else {
+				res.authority.push(soa(name));
+			}
+		} else if (records[name] && records[name].cname) {
+			res.answer.push({
+				name: q.name,
+				type: packet.types.CNAME,
+				ttl: 60,
+				data: records[name].cname
+			});
+		} else if (records[name]) {
+			res.answer.push({
+				name: q.name,
+				type: packet.types.TXT,
+				ttl: 60,
+				data: records[name]
+			});
+		} else {
+			res.header.rcode = 3; // NXDOMAIN
+		}
+		server.send(packet.pack(res), rinfo.port, rinfo.address);
+	});
+	return server;
+}
+
+module.exports = function () {
+	console.info(
+		'\n[Test] can find zones, and check (and wait for) dns-01 records on the authoritative nameservers'
+	);
+
+	var records = {
+		'_acme-challenge.example.com': txt,
+		'_acme-challenge.www.example.com': {
+			cname: 'www.acme-delegated.example.net'
+		},
+		'www.acme-delegated.example.net': txt
+	};
+	var good = createServer(records);
+	var bad = createServer(records, true);
+	var asked = [];
+	var opts = {
+		timeout: 1000,
+		resolver: {
+			resolveNs: function (zone) {
+				asked.push(zone);
+				if ('example.com' === zone || 'example.net' === zone) {
+					return Promise.resolve(['ns1.' + zone, 'ns2.' + zone]);
+				}
+				return Promise.reject(new Error('ENODATA'));
+			},
+			resolve4: function () {
+				return Promise.resolve(['127.0.0.1']);
+			}
+		}
+	};
+
+	function listen(server) {
+		return new Promise(function (resolve) {
+			server.bind(0, '127.0.0.1', resolve);
+		});
+	}
+
+	return Promise.all([listen(good), listen(bad)])
+		.then(function () {
+			opts.port = good.address().port;
+			return dnsCheck.txt('_acme-challenge.example.com', opts);
+		})
+		.then(function (report) {
+			if (
+				txt !== report.answer[0].data[0] ||
+				2 !== report.nameservers.length ||
+				'ns2.example.com' !== report.nameservers[1].nameserver ||
+				!report.nameservers[1].authoritative
+			) {
+				console.error(report);
+				throw new Error('TXT record was not found on each nameserver');
+			}
+			if ('_acme-challenge.example.com,example.com' !== asked.join()) {
+				console.error(asked);
+				throw new Error('NS records were not looked up from the name');
+			}
+			return dnsCheck.txt('_acme-challenge.www.example.com', opts);
+		})
+		.then(function (report) {
+			if (
+				1 !== report.answer.length ||
+				'www.acme-delegated.example.net' !== report.cnames.join() ||
+				'example.net' !== report.nameservers[3].zone
+			) {
+				console.error(report);
+				throw new Error('CNAME was not followed');
+			}
+			return dnsCheck.txt('_acme-challenge.www.example.org', opts).then(
+				function () {
+					throw new Error('found nameservers that do not exist');
+				},
+				function (err) {
+					if ('E_NO_NAMESERVERS' !== err.code) {
+						throw err;
+					}
+				}
+			);
+		})
+		.then(function () {
+			// responses that don't match the 0x20 case must not be trusted
+			opts.port = bad.address().port;
+			return dnsCheck.txt('_acme-challenge.example.com', opts);
+		})
+		.then(function (report) {
+			if (
+				report.answer.length ||
+				!/0x20/.test(report.nameservers[0].error)
+			) {
+				console.error(report);
+				throw new Error('response with the wrong case was accepted');
+			}
+
+			// keep checking until the record shows up on every nameserver
+			opts.port = good.address().port;
+			var events = [];
+			var me = {
+				retryInterval: 10,
+				dns01: function (ch) {
+					return dnsCheck.txt(ch.dnsHost, opts);
+				}
+			};
+			var late = {
+				type: 'dns-01',
+				altname: 'late.example.com',
+				dnsHost: '_acme-challenge.late.example.com',
+				dnsAuthorization: txt
+			};
+			return ACME._waitForPropagation(
+				me,
+				{
+					challenges: { 'dns-01': { propagationTimeout: 5000 } },
+					notify: function (ev, params) {
+						params.event = ev;
+						events.push(params);
+						if (3 === events.length) {
+							records[late.dnsHost] = txt;
+						}
+					}
+				},
+				[late]
+			).then(function (found) {
+				if (
+					true !== found[0] ||
+					4 !== events.length ||
+					'challenge_propagation' !== events[0].event ||
+					events[0].propagated ||
+					!events[3].propagated ||
+					!events[3].nameservers[1].propagated
+				) {
+					console.error(found, events);
+					throw new Error('did not wait for the record to propagate');
+				}
+
+				// the zone is the owner of the SOA, but not of a CNAME's target
+				return dnsCheck.zone('_acme-challenge.www.example.com', {
+					servers: ['127.0.0.1'],
+					port: opts.port
+				});
+			});
+		})
+		.then(function (zone) {
+			if ('example.com' !== zone) {
+				console.error(zone);
+				throw new Error('bad zone');
+			}
+			var queries = good.queries;
+			return dnsCheck
+				.zone('_acme-challenge.www.example.com')
+				.then(function (zone) {
+					if ('example.com' !== zone || queries !== good.queries) {
+						throw new Error('zone was not cached');
+					}
+				});
+		})
+		.then(
+			function () {
+				good.close();
+				bad.close();
+				console.info('PASS');
+			},
+			function (err) {
+				good.close();
+				bad.close();
+				throw err;
+			}
+		);
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
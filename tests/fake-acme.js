@@ -0,0 +1,97 @@
+'use strict';
+
+var crypto = require('crypto');
+var ACME = require('../');
+var pkg = require('../package.json');
+
+var Fake = module.exports;
+
+Fake.accountKey = require('../fixtures/account.jwk.json').private;
+Fake.directory = require('../fixtures/directory.response.json');
+Fake.kid = 'https://acme-staging-v02.api.letsencrypt.org/acme/acct/1234';
+
+Fake.decode = function (b64) {
+	var str = Buffer.from(b64 || '', 'base64').toString('utf8');
+	return str ? JSON.parse(str) : '';
+};
+
+// whether the JWS was signed by (the private half of) the public jwk
+Fake.signedBy = function (jws, jwk) {
+	var pub = {};
+	['kty', 'crv', 'x', 'y', 'n', 'e'].forEach(function (k) {
+		if (jwk[k]) {
+			pub[k] = jwk[k];
+		}
+	});
+	var key = crypto.createPublicKey({ key: pub, format: 'jwk' });
+	var data = Buffer.from(jws.protected + '.' + jws.payload);
+	var sig = Buffer.from(jws.signature, 'base64');
+	if ('EC' === pub.kty) {
+		key = { key: key, dsaEncoding: 'ieee-p1363' };
+	}
+	return crypto.verify('sha256', data, key, sig);
+};
+
+// A client of a fake ACME server, which knows of the account (Fake.kid) only
+// if `exists`, and answers any other request with `handle(req)`, which may
+// return { statusCode, headers, body } (by default, 200 and a valid status).
+// Every request (but for nonces) is kept in acme._requests, with its JWS
+// decoded as req.protected and req.payload.
+Fake.create = function (exists, handle) {
+	var requests = [];
+	var acme = ACME.create({
+		maintainerEmail: 'test@example.com',
+		packageAgent: 'test-' + pkg.name + '/' + pkg.version,
+		__request: function (opts) {
+			var headers = { 'replay-nonce': 'nonce-' + requests.length };
+			if ('HEAD' === opts.method) {
+				return Promise.resolve({ statusCode: 200, headers: headers });
+			}
+			var req = { method: opts.method, url: opts.url, json: opts.json };
+			if (opts.json) {
+				req.protected = Fake.decode(opts.json.protected);
+				req.payload = Fake.decode(opts.json.payload);
+			}
+			requests.push(req);
+
+			var resp;
+			if (Fake.directory.newAccount === req.url) {
+				resp = Fake._newAccount(exists);
+			} else {
+				resp = (handle && handle(req)) || {};
+			}
+			Object.keys(resp.headers || {}).forEach(function (k) {
+				headers[k] = resp.headers[k];
+			});
+			var body = 'body' in resp ? resp.body : { status: 'valid' };
+			return Promise.resolve({
+				statusCode: resp.statusCode || 200,
+				headers: headers,
+				body: body
+			});
+		}
+	});
+	acme._directoryUrls = Fake.directory;
+	acme._requests = requests;
+	return acme;
+};
+
+Fake._newAccount = function (exists) {
+	if (!exists) {
+		return Fake.problem(400, 'accountDoesNotExist', 'No account exists');
+	}
+	return { headers: { location: Fake.kid } };
+};
+
+// an RFC 7807 problem, as an ACME server gives it
+Fake.problem = function (status, type, detail) {
+	return {
+		statusCode: status,
+		headers: { 'content-type': 'application/problem+json' },
+		body: {
+			type: 'urn:ietf:params:acme:error:' + type,
+			detail: detail,
+			status: status
+		}
+	};
+};
@@ -0,0 +1,131 @@
+'use strict';
+
+var http = require('http');
+var Http01 = require('../lib/node/http-01.js');
+
+var token = 'iQiMcQUDiAeD0TJV1RHJuGnI5D2-PuSpxKz9JqUaZ2M';
+var keyAuthorization = token + '.UuuZa_56jCM2douUq1riGyRphPtRvCPkxtkg0bP-pNs';
+var challenge = { token: token, keyAuthorization: keyAuthorization };
+
+// a port that's free (for now)
+function freePort() {
+	return new Promise(function (resolve) {
+		var server = http.createServer();
+		server.listen(0, '127.0.0.1', function () {
+			var port = server.address().port;
+			server.close(function () {
+				resolve(port);
+			});
+		});
+	});
+}
+
+// resolves with { status, body }, or { error } if nothing is listening
+function get(port, path) {
+	return new Promise(function (resolve) {
+		http.get({ host: '127.0.0.1', port: port, path: path }, function (res) {
+			var body = '';
+			res.on('data', function (chunk) {
+				body += chunk;
+			});
+			res.on('end', function () {
+				resolve({ status: res.statusCode, body: body });
+			});
+		}).on('error', function (err) {
+			resolve({ error: err });
+		});
+	});
+}
+
+module.exports = function () {
+	console.info('\n[Test] can serve http-01 challenges');
+
+	var port;
+	var responder;
+	var path = Http01.prefix + token;
+
+	return freePort()
+		.then(function (p) {
+			port = p;
+			responder = Http01.create({ port: port, host: '127.0.0.1' });
+			return responder.set({ challenge: challenge });
+		})
+		.then(function () {
+			return Promise.all([
+				get(port, path),
+				get(port, path + 'x'),
+				get(port, path.slice(0, -1)),
+				get(port, '/' + token)
+			]);
+		})
+		.then(function (results) {
+			var ok = results[0];
+			if (200 !== ok.status || keyAuthorization !== ok.body) {
+				console.error(ok);
+				throw new Error('key authorization was not served');
+			}
+			results.slice(1).forEach(function (result) {
+				if (404 !== result.status) {
+					console.error(result);
+					throw new Error(
+						'served something other than the exact token'
+					);
+				}
+			});
+
+			// express-style, anything else goes to next()
+			var nexts = 0;
+			var res = {
+				setHeader: function () {},
+				end: function (body) {
+					res.body = body;
+				}
+			};
+			var next = function () {
+				nexts += 1;
+			};
+			responder.middleware({ method: 'GET', url: path }, res, next);
+			responder.middleware({ method: 'GET', url: '/' }, res, next);
+			if (keyAuthorization !== res.body || 1 !== nexts) {
+				throw new Error('middleware did not serve just the token');
+			}
+
+			return responder.remove({ challenge: challenge });
+		})
+		.then(function () {
+			return get(port, path);
+		})
+		.then(function (result) {
+			if (!result.error) {
+				console.error(result);
+				throw new Error('server is still listening after remove()');
+			}
+
+			// an order that fails before remove() mustn't leave it listening
+			responder = Http01.create({ port: port, timeout: 50 });
+			return responder.set({ challenge: challenge });
+		})
+		.then(function () {
+			return new Promise(function (resolve) {
+				setTimeout(resolve, 200);
+			});
+		})
+		.then(function () {
+			return get(port, path);
+		})
+		.then(function (result) {
+			if (!result.error) {
+				responder.close();
+				console.error(result);
+				throw new Error('server is still listening after the timeout');
+			}
+			console.info('PASS');
+		});
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
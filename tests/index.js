@@ -3,7 +3,25 @@
 async function main() {
 	await require('./generate-cert-key.js')();
 	await require('./format-pem-chains.js')();
+	await require('./parse-certificate.js')();
 	await require('./compute-authorization-response.js')();
+	await require('./tls-alpn-01.js')();
+	await require('./http-01.js')();
+	await require('./webroot.js')();
+	await require('./manual.js')();
+	await require('./ip-identifiers.js')();
+	await require('./custom-validity.js')();
+	await require('./polling.js')();
+	await require('./account-lookup.js')();
+	await require('./account-key-change.js')();
+	await require('./account-update.js')();
+	await require('./account-orders.js')();
+	await require('./revoke.js')();
+	await require('./renewal-info.js')();
+	await require('./challenge-routes.js')();
+	await require('./challenges-test.js')();
+	await require('./rfc2136.js')();
+	await require('./dns-check.js')();
 	await require('./issue-certificates.js')();
 }
 
@@ -0,0 +1,60 @@
+'use strict';
+
+var ACME = require('../');
+var U = require('../utils.js');
+var accountKey = require('../fixtures/account.jwk.json').private;
+
+module.exports = function () {
+	console.info(
+		'\n[Test] can recognize and compute challenges for IP identifiers'
+	);
+
+	[
+		['192.0.2.7', '192.0.2.7', '7.2.0.192.in-addr.arpa'],
+		[
+			'2001:0db8:0000:0000:0000:0000:0000:0001',
+			'2001:db8::1',
+			'1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa'
+		],
+		['2001:db8:0:1:0:0:0:1', '2001:db8:0:1::1']
+	].forEach(function (t) {
+		var id = ACME._identifier(t[0]);
+		if ('ip' !== id.type || t[1] !== id.value) {
+			console.error(t[0], id);
+			throw new Error('bad ip identifier');
+		}
+		if (t[2] && t[2] !== U._ipToReverseName(t[0])) {
+			console.error(t[0], U._ipToReverseName(t[0]));
+			throw new Error('bad reverse name');
+		}
+	});
+
+	[
+		'example.com',
+		'256.0.0.1',
+		'1::2::3',
+		'dead:beef',
+		'*.example.com'
+	].forEach(function (name) {
+		if ('dns' !== ACME._identifier(name).type) {
+			throw new Error("'" + name + "' should not be an IP identifier");
+		}
+	});
+
+	return ACME.computeChallenge({
+		accountKey: accountKey,
+		hostname: '2001:db8::1',
+		challenge: { type: 'http-01', token: 'xxxx' }
+	}).then(function (auth) {
+		var url = 'http://[2001:db8::1]/.well-known/acme-challenge/xxxx';
+		if (url !== auth.challengeUrl) {
+			console.error(auth.challengeUrl);
+			throw new Error('bad IPv6 challengeUrl');
+		}
+		console.info('PASS');
+	});
+};
+
+if (require.main === module) {
+	module.exports();
+}
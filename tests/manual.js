@@ -0,0 +1,118 @@
+'use strict';
+
+var Manual = require('../lib/node/manual.js');
+
+var digest = 'iQiMcQUDiAeD0TJV1RHJuGnI5D2-PuSpxKz9JqUaZ2M';
+
+// (dnsZone and dnsPrefix are only given when the zone could be found)
+function challenge(altname, zone, prefix) {
+	return {
+		type: 'dns-01',
+		altname: altname,
+		token: 'token-' + altname,
+		dnsHost: '_acme-challenge.' + altname,
+		dnsZone: zone,
+		dnsPrefix: prefix,
+		dnsAuthorization: digest
+	};
+}
+
+module.exports = function () {
+	console.info('\n[Test] can present challenges by hand');
+
+	// names relative to the zone's $ORIGIN, when the zone is known
+	var zonefile = Manual.zonefile(
+		[
+			challenge('example.com', 'example.com', '_acme-challenge'),
+			challenge('www.example.com', 'example.com', '_acme-challenge.www')
+		],
+		300
+	);
+	var expected = [
+		'; ACME dns-01 challenges',
+		'$ORIGIN example.com.',
+		'_acme-challenge 300 IN TXT "' + digest + '"',
+		'_acme-challenge.www 300 IN TXT "' + digest + '"',
+		''
+	].join('\n');
+	if (expected !== zonefile) {
+		console.error(zonefile);
+		throw new Error('bad zone file for records in a known zone');
+	}
+
+	// and otherwise absolute names, without an $ORIGIN
+	zonefile = Manual.zonefile([challenge('www.example.com')]);
+	expected = [
+		'; ACME dns-01 challenges',
+		'_acme-challenge.www.example.com. 60 IN TXT "' + digest + '"',
+		''
+	].join('\n');
+	if (expected !== zonefile) {
+		console.error(zonefile);
+		throw new Error('bad zone file for records without a zone');
+	}
+
+	var printed = [];
+	var confirms = [];
+	var presenter = Manual.create({
+		print: function (text) {
+			printed.push(text);
+		},
+		confirm: function (batch) {
+			confirms.push(batch);
+			return Promise.resolve();
+		}
+	});
+	var chs = [
+		challenge('example.com', 'example.com', '_acme-challenge'),
+		challenge('www.example.com', 'example.com', '_acme-challenge.www')
+	];
+
+	// the whole order's challenges are shown (and confirmed) at once
+	return presenter
+		.set({ challenge: chs[0], challenges: chs })
+		.then(function () {
+			return presenter.set({ challenge: chs[1], challenges: chs });
+		})
+		.then(function () {
+			var batch = confirms[0];
+			if (
+				1 !== confirms.length ||
+				2 !== batch.challenges.length ||
+				!/\$ORIGIN example\.com\./.test(batch.zonefile) ||
+				!/dnsHost: _acme-challenge\.www\.example\.com/.test(printed[0])
+			) {
+				console.error(confirms, printed);
+				throw new Error('challenges were not shown together');
+			}
+			return presenter.get({ challenge: chs[1] });
+		})
+		.then(function (result) {
+			if (digest !== result.dnsAuthorization) {
+				console.error(result);
+				throw new Error('confirmed challenge was not found');
+			}
+			return presenter.remove({ challenge: chs[1] });
+		})
+		.then(function () {
+			var removal = /remove the DNS TXT record _acme-challenge\.www\./;
+			if (!removal.test(printed[1])) {
+				console.error(printed);
+				throw new Error('was not told to remove the record');
+			}
+			return presenter.get({ challenge: chs[1] });
+		})
+		.then(function (result) {
+			if (null !== result) {
+				throw new Error('removed challenge was still found');
+			}
+			console.info('PASS');
+		});
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
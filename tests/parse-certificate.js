@@ -0,0 +1,127 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var ACME = require('../');
+var C = require('../certificate.js');
+
+module.exports = function () {
+	console.info(
+		'\n[Test] can parse the issuer, altnames, and ids of certificates'
+	);
+
+	var pems = ACME.splitPemChain(
+		ACME.formatPemChain(
+			fs
+				.readFileSync(
+					path.join(__dirname, '../fixtures/cert.response.txt'),
+					'utf8'
+				)
+				.replace(/^\/\/.*\n/gm, '')
+		)
+	);
+
+	var leaf = C._parse(pems[0]);
+	if ('Fake LE Intermediate X1' !== leaf.issuer.commonName) {
+		console.error(leaf.issuer);
+		throw new Error('bad leaf issuer');
+	}
+	if (
+		'xn--foo-acmejs-2ea4-zk8x.test.utahrust.com' !== leaf.subject.commonName
+	) {
+		console.error(leaf.subject);
+		throw new Error('bad leaf subject');
+	}
+	if (
+		'*.xn--baz-acmejs-2ea4-zk8x.test.utahrust.com' !== leaf.altnames[0] ||
+		4 !== leaf.altnames.length
+	) {
+		console.error(leaf.altnames);
+		throw new Error('bad leaf altnames');
+	}
+	if ('00fa78326c21c0c7f06c03931900bead4fe3ee' !== leaf.serialNumber) {
+		console.error(leaf.serialNumber);
+		throw new Error('bad leaf serial number');
+	}
+	if ('2020-01-22T22:41:44.000Z' !== leaf.notAfter.toISOString()) {
+		console.error(leaf.notAfter);
+		throw new Error('bad leaf expiry');
+	}
+
+	if (
+		'c0cc0346b95820cc5c7270f3e12ecb20a6f5683a' !==
+		leaf.authorityKeyIdentifier
+	) {
+		console.error(leaf.authorityKeyIdentifier);
+		throw new Error('bad leaf authority key id');
+	}
+	var certId = ACME._renewalInfoId(pems[0]);
+	if ('wMwDRrlYIMxccnDz4S7LIKb1aDo.APp4MmwhwMfwbAOTGQC-rU_j7g' !== certId) {
+		console.error(certId);
+		throw new Error('bad ARI certificate id');
+	}
+
+	var intermediate = C._parse(pems[1]);
+	if ('Fake LE Root X1' !== intermediate.issuer.commonName) {
+		console.error(intermediate.issuer);
+		throw new Error('bad intermediate issuer');
+	}
+
+	// self-signed, so each is its own issuer
+	return Promise.all(
+		['bridge.test', 'cross.test'].map(function (hostname) {
+			return C._createTlsAlpnCert({
+				hostname: hostname,
+				digest: new Uint8Array(32)
+			});
+		})
+	).then(function (pairs) {
+		// leaf, intermediate, root (the default), and then leaf,
+		// intermediate, root, bridge.test, cross.test (the alternate)
+		var chains = [
+			{ cert: pems[0], chain: pems[1] },
+			{
+				cert: pems[0],
+				chain: [pems[1], pairs[0].cert, pairs[1].cert].join('\n')
+			}
+		];
+		var warnings = [];
+		var options = {
+			notify: function (ev, err) {
+				warnings.push(err.code);
+			}
+		};
+		function choose(preferred) {
+			options.preferredChain = preferred;
+			var copies = chains.map(function (certs) {
+				return { cert: certs.cert, chain: certs.chain };
+			});
+			return ACME._chooseChain({}, options, copies);
+		}
+
+		var root = choose('cross.test');
+		var top = choose('Fake LE Root X1');
+		var middle = choose('bridge.test');
+		var none = choose('Nope CA');
+		if (
+			'cross.test' !== root.issuer ||
+			'Fake LE Root X1' !== top.issuer ||
+			'cross.test' !== middle.issuer ||
+			'Fake LE Root X1' !== none.issuer ||
+			2 !== none.alternates.length ||
+			'E_NO_PREFERRED_CHAIN' !== warnings.join()
+		) {
+			console.error(root, top, middle, none, warnings);
+			throw new Error('bad preferredChain choice');
+		}
+
+		console.info('PASS');
+	});
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
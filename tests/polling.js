@@ -0,0 +1,96 @@
+'use strict';
+
+var ACME = require('../');
+var U = require('../utils.js');
+var pkg = require('../package.json');
+
+function retryAfter(val) {
+	return U._retryAfter({ headers: { 'retry-after': val } });
+}
+
+module.exports = function () {
+	console.info('\n[Test] can poll with Retry-After, backoff, and a deadline');
+
+	// seconds, or an HTTP-date (which is whole seconds, so allow for that)
+	var inTen = retryAfter(new Date(Date.now() + 10 * 1000).toUTCString());
+	if (
+		5000 !== retryAfter('5') ||
+		inTen < 8000 ||
+		inTen > 10000 ||
+		0 !== retryAfter(new Date(Date.now() - 60 * 1000).toUTCString()) ||
+		undefined !== retryAfter('soon') ||
+		undefined !== U._retryAfter({ headers: {} })
+	) {
+		throw new Error('bad Retry-After');
+	}
+
+	// 1s, 2s, 4s, 8s, then no more than 10s, and never past the deadline
+	var me = {};
+	var later = Date.now() + 60 * 60 * 1000;
+	var delays = [1, 2, 3, 4, 5, 6].map(function (count) {
+		return ACME._pollDelay(me, {}, count, later);
+	});
+	var soon = ACME._pollDelay(me, {}, 4, Date.now() + 500);
+	var resp = { headers: { 'retry-after': '30' } };
+	var asked = ACME._pollDelay(me, resp, 1, later);
+	if (
+		'1000,2000,4000,8000,10000,10000' !== delays.join() ||
+		soon > 500 ||
+		30000 !== asked
+	) {
+		console.error(delays, soon, asked);
+		throw new Error('bad backoff');
+	}
+
+	// the deprecated retryPoll is the time that that many polls would take
+	var deadline = ACME._pollDeadline({ retryPoll: 3 }) - Date.now();
+	var timeout = ACME._pollDeadline({ retryTimeout: 1000 }) - Date.now();
+	if (deadline < 6900 || deadline > 7000 || timeout > 1000) {
+		console.error(deadline, timeout);
+		throw new Error('bad deadline');
+	}
+
+	// an order that's still processing at the deadline
+	var polls = 0;
+	var acme = ACME.create({
+		maintainerEmail: 'test@example.com',
+		packageAgent: 'test-' + pkg.name + '/' + pkg.version,
+		retryTimeout: 50,
+		retryInterval: 10,
+		__request: function () {
+			polls += 1;
+			return Promise.resolve({
+				statusCode: 200,
+				headers: { 'replay-nonce': 'nonce-' + polls },
+				body: { status: 'processing' }
+			});
+		}
+	});
+	acme._directoryUrls = { newNonce: 'https://acme.example.com/nonce' };
+	var options = {
+		csr: 'MIIB',
+		domains: ['example.com'],
+		accountKey: require('../fixtures/account.jwk.json').private
+	};
+	var order = { _orderUrl: 'https://acme.example.com/order/1' };
+	var verifieds = ['example.com'];
+
+	return ACME._pollOrderStatus(acme, options, 'kid', order, verifieds).then(
+		function () {
+			throw new Error('polled past the deadline');
+		},
+		function (err) {
+			if ('E_POLL_TIMEOUT' !== err.code || polls < 2) {
+				throw err;
+			}
+			console.info('PASS');
+		}
+	);
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,200 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var CSR = require('@root/csr');
+var Enc = require('@root/encoding/base64');
+var Keypairs = require('@root/keypairs');
+var ACME = require('../');
+var Fake = require('./fake-acme.js');
+
+// (without the fixture's own note, which isn't part of the PEM)
+var fullchain = fs
+	.readFileSync(path.join(__dirname, '../fixtures/cert.response.txt'), 'utf8')
+	.replace(/^\/\/.*\n/gm, '');
+var certId = 'wMwDRrlYIMxccnDz4S7LIKb1aDo.APp4MmwhwMfwbAOTGQC-rU_j7g';
+var ari = 'https://acme-staging-v02.api.letsencrypt.org/acme/renewal-info';
+var hour = 60 * 60 * 1000;
+
+function presenter() {
+	return {
+		set: function () {
+			return Promise.resolve(null);
+		},
+		get: function () {
+			return Promise.resolve(null);
+		},
+		remove: function () {
+			return Promise.resolve(null);
+		}
+	};
+}
+
+// a client of a server with ARI at `url`, which answers with `resp`
+function create(url, resp) {
+	var acme = Fake.create(true, function () {
+		return resp;
+	});
+	var directory = JSON.parse(JSON.stringify(Fake.directory));
+	if (url) {
+		directory.renewalInfo = url;
+	}
+	acme._directoryUrls = directory;
+	return acme;
+}
+
+function renewal(retryAfter) {
+	return {
+		headers: retryAfter ? { 'retry-after': retryAfter } : {},
+		body: {
+			suggestedWindow: {
+				start: '2030-01-01T00:00:00Z',
+				end: '2030-01-03T00:00:00Z'
+			},
+			explanationURL: 'https://example.com/incident'
+		}
+	};
+}
+
+function ask(acme) {
+	return acme.certificates.renewalInfo({ cert: fullchain });
+}
+
+// resolves with the error code (or 'ok')
+function code(promise) {
+	return promise.then(
+		function () {
+			return 'ok';
+		},
+		function (err) {
+			return err.code;
+		}
+	);
+}
+
+module.exports = function () {
+	console.info('\n[Test] can get renewal information (ARI)');
+
+	// (with, and without, the trailing slash)
+	var slashed = create(ari + '/', renewal('3600'));
+	var bare = create(ari, renewal());
+	var checked = Date.now();
+
+	return Promise.all([ask(slashed), ask(bare)])
+		.then(function (infos) {
+			var reqs = slashed._requests.concat(bare._requests);
+			var urls = reqs.map(function (r) {
+				return r.method + ' ' + r.url;
+			});
+			var get = 'GET ' + ari + '/' + certId;
+			if (get + ',' + get !== urls.join()) {
+				console.error(urls);
+				throw new Error(
+					'renewal info was not fetched by certificate id'
+				);
+			}
+
+			var info = infos[0];
+			var start = new Date('2030-01-01T00:00:00Z');
+			var end = new Date('2030-01-03T00:00:00Z');
+			// as the server asks, or else in 6 hours
+			var retry = infos.map(function (info) {
+				return Math.round((info.retryAfter - checked) / hour);
+			});
+			if (
+				certId !== info.certId ||
+				start.valueOf() !== info.suggestedWindow.start.valueOf() ||
+				end.valueOf() !== info.suggestedWindow.end.valueOf() ||
+				info.renewAt < start ||
+				info.renewAt > end ||
+				'https://example.com/incident' !== info.explanationURL ||
+				'1,6' !== retry.join()
+			) {
+				console.error(infos);
+				throw new Error('bad renewal info');
+			}
+
+			// until then, it's the same info, without asking again
+			return ask(slashed);
+		})
+		.then(function (info) {
+			if (1 !== slashed._requests.length || certId !== info.certId) {
+				console.error(slashed._requests);
+				throw new Error('renewal info was fetched before Retry-After');
+			}
+
+			// and after that, it's asked for again
+			var asap = create(ari, renewal('0'));
+			return ask(asap)
+				.then(function () {
+					return ask(asap);
+				})
+				.then(function () {
+					if (2 !== asap._requests.length) {
+						console.error(asap._requests);
+						throw new Error('renewal info was not fetched again');
+					}
+				});
+		})
+		.then(function () {
+			var missing = renewal();
+			delete missing.body.suggestedWindow;
+			var unknown = Fake.problem(404, 'malformed', 'Unknown');
+			return Promise.all([
+				code(ask(create(null))),
+				code(ask(create(ari, unknown))),
+				code(ask(create(ari, missing)))
+			]);
+		})
+		.then(function (codes) {
+			if (
+				'E_NO_RENEWAL_INFO,E_RENEWAL_INFO,E_RENEWAL_INFO' !==
+				codes.join()
+			) {
+				console.error(codes);
+				throw new Error('bad renewal info errors');
+			}
+			return Keypairs.generate({ kty: 'EC' });
+		})
+		.then(function (pair) {
+			return CSR.csr({
+				jwk: pair.private,
+				domains: ['example.com'],
+				encoding: 'der'
+			});
+		})
+		.then(function (der) {
+			// the order says which certificate it replaces, by its id
+			var rejected = Fake.problem(400, 'rejectedIdentifier', 'No');
+			var acme = create(ari, rejected);
+			var options = {
+				kid: Fake.kid,
+				accountKey: Fake.accountKey,
+				csr: Enc.bufToUrlBase64(der),
+				domains: ['example.com'],
+				challenges: { 'http-01': presenter() },
+				skipDryRun: true,
+				replaces: fullchain
+			};
+			ACME._normalizePresenters(acme, options, options.challenges);
+			var ordered = ACME._orderCert(acme, options, options.kid);
+			return code(ordered).then(function () {
+				var order = acme._requests[0];
+				if (
+					Fake.directory.newOrder !== order.url ||
+					certId !== order.payload.replaces
+				) {
+					console.error(acme._requests);
+					throw new Error('order did not say what it replaces');
+				}
+				console.info('PASS');
+			});
+		});
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
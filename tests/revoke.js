@@ -0,0 +1,163 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var Fake = require('./fake-acme.js');
+
+var accountKey = Fake.accountKey;
+var serverKey = require('../fixtures/server.jwk.json');
+var kid = Fake.kid;
+// (without the fixture's own note, which isn't part of the PEM)
+var fullchain = fs
+	.readFileSync(path.join(__dirname, '../fixtures/cert.response.txt'), 'utf8')
+	.replace(/^\/\/.*\n/gm, '');
+
+// the leaf, as DER in url-safe base64
+var leaf = fullchain
+	.split('-----END CERTIFICATE-----')[0]
+	.replace(/-----BEGIN CERTIFICATE-----|\s/g, '')
+	.replace(/\+/g, '-')
+	.replace(/\//g, '_')
+	.replace(/=+$/, '');
+
+// resolves with { acme, result } or { acme, error }
+function revoke(options, problem) {
+	var acme = Fake.create(true, function () {
+		return problem;
+	});
+	options.cert = options.cert || fullchain;
+	return acme.certificates.revoke(options).then(
+		function (result) {
+			return { acme: acme, result: result };
+		},
+		function (err) {
+			return { acme: acme, error: err };
+		}
+	);
+}
+
+module.exports = function () {
+	console.info('\n[Test] can revoke certificates');
+
+	var byKid = { kid: kid, accountKey: accountKey };
+
+	return Promise.all([
+		revoke({ kid: kid, accountKey: accountKey }),
+		revoke({ kid: kid, accountKey: accountKey, reason: 1 }),
+		revoke({ kid: kid, accountKey: accountKey, reason: 'superseded' }),
+		revoke({ kid: kid, accountKey: accountKey, reason: 0 })
+	])
+		.then(function (revoked) {
+			var reqs = revoked.map(function (r) {
+				return r.acme._requests[0];
+			});
+			// only the leaf of a fullchain, signed by the account (its kid)
+			var ok = reqs.every(function (req) {
+				return (
+					Fake.directory.revokeCert === req.url &&
+					kid === req.protected.kid &&
+					!req.protected.jwk &&
+					leaf === req.payload.certificate
+				);
+			});
+			var reasons = reqs.map(function (req) {
+				return req.payload.reason;
+			});
+			if (
+				!ok ||
+				true !== revoked[0].result ||
+				'undefined' !== typeof reasons[0] ||
+				'1,4,0' !== reasons.slice(1).join()
+			) {
+				console.error(reqs);
+				throw new Error('bad revocation request');
+			}
+
+			// 7 is unused, and the others aren't reason codes at all
+			return Promise.all(
+				[7, 11, -1, 1.5, 'nope', 'unused'].map(function (reason) {
+					return revoke({
+						kid: kid,
+						accountKey: accountKey,
+						reason: reason
+					});
+				})
+			);
+		})
+		.then(function (invalids) {
+			invalids.forEach(function (r) {
+				var reason = r.error && /invalid revocation `reason`/;
+				if (!reason || !reason.test(r.error.message)) {
+					throw r.error || new Error('revoked with a bad reason');
+				}
+				if (r.acme._requests.length) {
+					throw new Error('sent a revocation with a bad reason');
+				}
+			});
+
+			// the certificate key signs for itself (by jwk, with no account)
+			return revoke({ serverKey: serverKey.private, reason: 1 });
+		})
+		.then(function (r) {
+			var req = r.acme._requests[0];
+			if (
+				true !== r.result ||
+				1 !== r.acme._requests.length ||
+				req.protected.kid ||
+				serverKey.public.n !== req.protected.jwk.n ||
+				!Fake.signedBy(req.json, serverKey.public)
+			) {
+				console.error(r);
+				throw new Error('revocation was not signed by the server key');
+			}
+
+			return Promise.all([
+				revoke(byKid, Fake.problem(400, 'alreadyRevoked', 'Revoked')),
+				// (U._request only throws for 400s)
+				revoke(byKid, Fake.problem(403, 'unauthorized', 'Not yours')),
+				revoke(byKid, Fake.problem(500, 'serverInternal', 'Oops'))
+			]);
+		})
+		.then(function (problems) {
+			var codes = problems.map(function (r) {
+				return r.error && r.error.code;
+			});
+			if (
+				'E_ALREADY_REVOKED,E_REVOKE_UNAUTHORIZED,E_ACME' !==
+					codes.join() ||
+				'Not yours' !== problems[1].error.detail
+			) {
+				console.error(problems);
+				throw new Error('bad revocation errors');
+			}
+
+			// and without an account, revoking mustn't create one
+			var acme = Fake.create(false);
+			return acme.certificates
+				.revoke({ accountKey: accountKey, cert: fullchain, reason: 1 })
+				.then(
+					function () {
+						throw new Error('revoked with an account not found');
+					},
+					function (err) {
+						var reqs = acme._requests;
+						if (
+							'E_ACCOUNT_DOES_NOT_EXIST' !== err.code ||
+							1 !== reqs.length ||
+							true !== reqs[0].payload.onlyReturnExisting
+						) {
+							console.error(reqs);
+							throw err;
+						}
+						console.info('PASS');
+					}
+				);
+		});
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,247 @@
+'use strict';
+
+var crypto = require('crypto');
+var dgram = require('dgram');
+var packet = require('../lib/node/dns-packet.js');
+var rfc2136 = require('../lib/node/rfc2136.js');
+
+var key = {
+	name: 'acme-key',
+	algorithm: 'hmac-sha256',
+	secret: crypto.randomBytes(32).toString('base64')
+};
+var zone = 'example.com';
+
+// The TSIG variables (RFC 8945 Section 4.3.3), done the long way here so that
+// the test doesn't just check lib/node/tsig.js against itself
+function tsigMac(prefix, msg, sig) {
+	var rdata = sig.rdata;
+	var alg = packet.unpackName(rdata, 0);
+	var tail = Buffer.alloc(6);
+	tail.writeUInt16BE(255, 0);
+	var macLen = rdata.readUInt16BE(alg.end + 8);
+	var rest = rdata.slice(alg.end + 10 + macLen + 2);
+	return crypto
+		.createHmac('sha256', Buffer.from(key.secret, 'base64'))
+		.update(prefix)
+		.update(msg)
+		.update(packet.packName(sig.name))
+		.update(tail)
+		.update(packet.packName(alg.name))
+		.update(rdata.slice(alg.end, alg.end + 8))
+		.update(rest)
+		.digest();
+}
+
+// A stand-in for an authoritative server that accepts signed updates
+function createServer(records) {
+	var server = dgram.createSocket('udp4');
+	server.on('message', function (buf, rinfo) {
+		var req = packet.unpack(buf);
+		var q = req.question[0];
+		var res = {
+			header: {
+				id: req.header.id,
+				qr: 1,
+				aa: 1,
+				opcode: req.header.opcode
+			},
+			question: req.question,
+			answer: [],
+			authority: []
+		};
+		var soa = {
+			name: zone,
+			type: packet.types.SOA,
+			ttl: 60,
+			data: {
+				mname: 'ns1.' + zone,
+				rname: 'hostmaster.' + zone,
+				serial: 1,
+				refresh: 3600,
+				retry: 600,
+				expire: 86400,
+				minimum: 60
+			}
+		};
+		var inZone = new RegExp('(^|\\.)' + zone.replace(/\./g, '\\.') + '$');
+
+		if (!inZone.test(q.name.toLowerCase())) {
+			res.header.rcode = 5; // REFUSED
+		} else if (packet.opcodes.QUERY === req.header.opcode) {
+			if (packet.types.SOA === q.type && zone === q.name.toLowerCase()) {
+				res.answer.push(soa);
+			} else if (packet.types.TXT === q.type && records[q.name]) {
+				res.answer = records[q.name].map(function (txt) {
+					return {
+						name: q.name,
+						type: packet.types.TXT,
+						ttl: 60,
+						data: txt
+					};
+				});
+			} else {
+				res.authority.push(soa);
+			}
+		} else {
+			var sig = req.additional[req.additional.length - 1];
+			var unsigned = Buffer.from(buf.slice(0, sig._start));
+			unsigned.writeUInt16BE(req.additional.length - 1, 10);
+			var alg = packet.unpackName(sig.rdata, 0);
+			var macLen = sig.rdata.readUInt16BE(alg.end + 8);
+			var mac = sig.rdata.slice(alg.end + 10, alg.end + 10 + macLen);
+			if (!mac.equals(tsigMac(Buffer.alloc(0), unsigned, sig))) {
+				res.header.rcode = 9; // NOTAUTH
+			} else {
+				req.authority.forEach(function (rr) {
+					var txt = rr.data.join('');
+					var list = (records[rr.name] = records[rr.name] || []);
+					if (packet.classes.NONE === rr.class) {
+						list.splice(list.indexOf(txt) >>> 0, 1);
+					} else if (-1 === list.indexOf(txt)) {
+						list.push(txt);
+					}
+				});
+			}
+
+			// sign the response with the same key
+			var lenMac = Buffer.alloc(2);
+			lenMac.writeUInt16BE(mac.length, 0);
+			var unsignedRes = packet.pack(res);
+			var resSig = {
+				name: sig.name,
+				rdata: Buffer.concat([
+					sig.rdata.slice(0, alg.end + 8),
+					Buffer.from([0, 0]),
+					sig.rdata.slice(alg.end + 10 + macLen)
+				])
+			};
+			var resMac = tsigMac(
+				Buffer.concat([lenMac, mac]),
+				unsignedRes,
+				resSig
+			);
+			var macSize = Buffer.alloc(2);
+			macSize.writeUInt16BE(resMac.length, 0);
+			res.additional = [
+				{
+					name: sig.name,
+					type: packet.types.TSIG,
+					class: packet.classes.ANY,
+					ttl: 0,
+					rdata: Buffer.concat([
+						sig.rdata.slice(0, alg.end + 8),
+						macSize,
+						resMac,
+						sig.rdata.slice(alg.end + 10 + macLen)
+					])
+				}
+			];
+		}
+		server.send(packet.pack(res), rinfo.port, rinfo.address);
+	});
+	return server;
+}
+
+module.exports = function () {
+	console.info('\n[Test] can add and remove dns-01 records with RFC 2136');
+
+	var records = {};
+	var server = createServer(records);
+
+	return new Promise(function (resolve) {
+		server.bind(0, '127.0.0.1', resolve);
+	})
+		.then(function () {
+			var opts = {
+				server: '127.0.0.1',
+				port: server.address().port,
+				key: key,
+				timeout: 1000
+			};
+			var presenter = rfc2136.create(opts);
+			var ch = {
+				dnsHost: '_acme-challenge.www.example.com',
+				dnsAuthorization: 'iQiMcQUDiAeD0TJV1RHJuGnI5D2-PuSpxKz9JqUaZ2M'
+			};
+
+			return presenter
+				.zones({
+					challenge: {
+						dnsHosts: ['xy.www.example.com', 'xy.example.org']
+					}
+				})
+				.then(function (zones) {
+					if ('example.com' !== zones.join()) {
+						console.error(zones);
+						throw new Error('bad zones');
+					}
+					return presenter.set({ challenge: ch });
+				})
+				.then(function () {
+					if (ch.dnsAuthorization !== records[ch.dnsHost].join()) {
+						console.error(records);
+						throw new Error('TXT record was not added');
+					}
+					return presenter.get({ challenge: ch });
+				})
+				.then(function (result) {
+					if (
+						!result ||
+						ch.dnsAuthorization !== result.dnsAuthorization
+					) {
+						console.error(result);
+						throw new Error('TXT record was not found');
+					}
+					return presenter.remove({ challenge: ch });
+				})
+				.then(function () {
+					if (records[ch.dnsHost].length) {
+						console.error(records);
+						throw new Error('TXT record was not removed');
+					}
+
+					// the wrong key must be rejected
+					opts.key = {
+						name: key.name,
+						algorithm: key.algorithm,
+						secret: crypto.randomBytes(32).toString('base64')
+					};
+					return rfc2136
+						.create(opts)
+						.set({ challenge: ch })
+						.then(
+							function () {
+								throw new Error(
+									'update with the wrong key was accepted'
+								);
+							},
+							function (err) {
+								if (
+									'E_DNS_UPDATE' !== err.code ||
+									'NOTAUTH' !== err.rcode
+								) {
+									throw err;
+								}
+							}
+						);
+				});
+		})
+		.then(
+			function () {
+				server.close();
+				console.info('PASS');
+			},
+			function (err) {
+				server.close();
+				throw err;
+			}
+		);
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
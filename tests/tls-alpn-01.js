@@ -0,0 +1,132 @@
+'use strict';
+
+var tls = require('tls');
+var ACME = require('../');
+var C = require('../certificate.js');
+var TlsAlpn01 = require('../lib/node/tls-alpn-01.js');
+var accountKey = require('../fixtures/account.jwk.json').private;
+
+function challenge(hostname) {
+	var ch = {
+		type: 'tls-alpn-01',
+		altname: hostname,
+		hostname: hostname,
+		token: 'test-' + hostname
+	};
+	return ACME.computeChallenge({
+		accountKey: accountKey,
+		challenge: ch
+	}).then(function (resp) {
+		Object.keys(resp).forEach(function (k) {
+			ch[k] = resp[k];
+		});
+		return ch;
+	});
+}
+
+// connect as the ACME server would, with the given TLS version
+function connect(port, version) {
+	return new Promise(function (resolve) {
+		var socket = tls.connect(
+			{
+				host: '127.0.0.1',
+				port: port,
+				servername: 'example.com',
+				ALPNProtocols: [TlsAlpn01.protocol],
+				minVersion: version,
+				maxVersion: version,
+				rejectUnauthorized: false
+			},
+			function () {
+				resolve({
+					alpnProtocol: socket.alpnProtocol,
+					cert: socket.getPeerCertificate().raw
+				});
+				socket.end();
+			}
+		);
+		socket.on('error', function (err) {
+			resolve({ error: err });
+		});
+	});
+}
+
+module.exports = function () {
+	console.info(
+		'\n[Test] can respond to tls-alpn-01 challenges (only over TLS 1.3)'
+	);
+
+	var responder = TlsAlpn01.create();
+	var server;
+	var ch;
+
+	return Promise.all([challenge('example.com'), challenge('default.test')])
+		.then(function (chs) {
+			ch = chs[0];
+			// anything other than the challenge gets the default certificate
+			server = tls.createServer({
+				cert: chs[1].alpnCert,
+				key: chs[1].alpnKey,
+				SNICallback: responder.SNICallback,
+				ALPNCallback: responder.ALPNCallback
+			});
+			return responder.set({ challenge: ch });
+		})
+		.then(function () {
+			return new Promise(function (resolve) {
+				server.listen(0, '127.0.0.1', resolve);
+			});
+		})
+		.then(function () {
+			return connect(server.address().port, 'TLSv1.3');
+		})
+		.then(function (result) {
+			var cert = C._parse(result.cert);
+			var problem = ACME._checkTlsAlpnCert(ch, result);
+			if (problem || 'example.com' !== cert.altnames.join()) {
+				console.error(problem, cert.altnames);
+				throw new Error(
+					'TLS 1.3 was not given the challenge certificate'
+				);
+			}
+
+			// the certificate has already been chosen by the time that the
+			// protocol is, and so acme-tls/1 must not be negotiated at all
+			return connect(server.address().port, 'TLSv1.2');
+		})
+		.then(function (result) {
+			var cert = result.cert && C._parse(result.cert);
+			if (!result.error) {
+				console.error(result.alpnProtocol, cert && cert.altnames);
+				throw new Error('TLS 1.2 negotiated acme-tls/1');
+			}
+			if (!/no application protocol/.test(result.error.message)) {
+				throw result.error;
+			}
+
+			return responder.remove({ challenge: ch });
+		})
+		.then(function () {
+			return connect(server.address().port, 'TLSv1.3');
+		})
+		.then(
+			function (result) {
+				server.close();
+				if (!result.error) {
+					throw new Error('acme-tls/1 was negotiated after remove()');
+				}
+				console.info('PASS');
+			},
+			function (err) {
+				server.close();
+				throw err;
+			}
+		);
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
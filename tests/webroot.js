@@ -0,0 +1,141 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Webroot = require('../lib/node/webroot.js');
+
+var token = 'iQiMcQUDiAeD0TJV1RHJuGnI5D2-PuSpxKz9JqUaZ2M';
+
+function challenge(hostname, tok) {
+	return {
+		type: 'http-01',
+		hostname: hostname,
+		altname: hostname,
+		token: tok || token,
+		keyAuthorization: (tok || token) + '.thumbprint'
+	};
+}
+
+module.exports = function () {
+	console.info('\n[Test] can present http-01 challenges in a webroot');
+
+	var tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'acme-webroot-'));
+	var dirs = {
+		default: path.join(tmp, 'default'),
+		exact: path.join(tmp, 'example.com'),
+		wild: path.join(tmp, 'subdomains')
+	};
+	var presenter = Webroot.create({
+		webroot: dirs.default,
+		webroots: {
+			'example.com': dirs.exact,
+			'*.example.com': dirs.wild
+		}
+	});
+
+	function file(dir) {
+		return path.join(dir, Webroot.prefix, token);
+	}
+
+	var chs = [
+		challenge('example.com'),
+		challenge('www.example.com'),
+		challenge('example.net')
+	];
+
+	return Promise.all(
+		chs.map(function (ch) {
+			return presenter.set({ challenge: ch });
+		})
+	)
+		.then(function () {
+			// each is in its own webroot, by exact name, wildcard, or default
+			[dirs.exact, dirs.wild, dirs.default].forEach(function (dir) {
+				if (
+					token + '.thumbprint' !==
+					fs.readFileSync(file(dir), 'utf8')
+				) {
+					throw new Error(
+						'key authorization was not written to ' + dir
+					);
+				}
+			});
+			return presenter.get({ challenge: chs[1] });
+		})
+		.then(function (result) {
+			if (token + '.thumbprint' !== result.keyAuthorization) {
+				console.error(result);
+				throw new Error('key authorization was not read back');
+			}
+			return Promise.all(
+				chs.map(function (ch) {
+					return presenter.remove({ challenge: ch });
+				})
+			);
+		})
+		.then(function () {
+			[dirs.exact, dirs.wild, dirs.default].forEach(function (dir) {
+				if (fs.existsSync(file(dir))) {
+					throw new Error(
+						'key authorization was not removed from ' + dir
+					);
+				}
+			});
+			return presenter.get({ challenge: chs[0] });
+		})
+		.then(function (result) {
+			if (null !== result) {
+				throw new Error('removed challenge was still found');
+			}
+
+			// the token is a filename, which must not escape the webroot
+			var unsafe = challenge('example.com', '../../../escaped');
+			return presenter.set({ challenge: unsafe }).then(
+				function () {
+					throw new Error('unsafe token was written');
+				},
+				function (err) {
+					if ('E_UNSAFE_TOKEN' !== err.code) {
+						throw err;
+					}
+					if (fs.existsSync(path.join(tmp, 'escaped'))) {
+						throw new Error('unsafe token escaped the webroot');
+					}
+				}
+			);
+		})
+		.then(function () {
+			// with no default, an unknown domain has no webroot
+			var strict = Webroot.create({
+				webroots: { 'example.com': dirs.exact }
+			});
+			return strict.set({ challenge: challenge('example.org') }).then(
+				function () {
+					throw new Error('used a webroot that was not configured');
+				},
+				function (err) {
+					if ('E_NO_WEBROOT' !== err.code) {
+						throw err;
+					}
+				}
+			);
+		})
+		.then(
+			function () {
+				fs.rmSync(tmp, { recursive: true, force: true });
+				console.info('PASS');
+			},
+			function (err) {
+				fs.rmSync(tmp, { recursive: true, force: true });
+				throw err;
+			}
+		);
+};
+
+if (require.main === module) {
+	module.exports().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
@@ -140,6 +140,172 @@ U._request = function (me, opts) {
 	});
 };
 
+// Link: <https://example.com/acme/orders/rzGoeA?cursor=2>;rel="next"
+U._parseLinks = function (resp, rel, baseUrl) {
+	var header = (resp.headers || {}).link || '';
+	if (Array.isArray(header)) {
+		header = header.join(', ');
+	}
+	return header
+		.split(/,\s*(?=<)/)
+		.map(function (link) {
+			var m = link.match(/^\s*<([^>]*)>(.*)$/);
+			if (!m) {
+				return null;
+			}
+			var r = m[2].match(/;\s*rel="?([^";]+)"?/i);
+			return {
+				// relative urls are relative to the request url
+				url: baseUrl ? new URL(m[1], baseUrl).href : m[1],
+				rel: r && r[1]
+			};
+		})
+		.filter(function (link) {
+			return link && (!rel || rel === link.rel);
+		});
+};
+
+// Retry-After: 120
+// Retry-After: Fri, 31 Dec 1999 23:59:59 GMT
+// (returns the delay in milliseconds, or undefined if there isn't one)
+U._retryAfter = function (resp) {
+	var val = (resp.headers || {})['retry-after'];
+	if (!val) {
+		return;
+	}
+	var ms;
+	if (/^\s*\d+\s*$/.test(val)) {
+		ms = parseInt(val, 10) * 1000;
+	} else {
+		ms = new Date(val).valueOf() - Date.now();
+	}
+	if (isNaN(ms)) {
+		return;
+	}
+	return Math.max(0, ms);
+};
+
+// IP address identifiers (RFC 8738)
+U._isIp = function (name) {
+	return !!U._ipToBytes(name);
+};
+
+// '127.0.0.1' => [ 127, 0, 0, 1 ]
+// '::1' => [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1 ]
+// (returns null if it isn't an IP address)
+U._ipToBytes = function (name) {
+	var parts;
+	name = String(name || '');
+	if (/^\d{1,3}(\.\d{1,3}){3}$/.test(name)) {
+		parts = name.split('.').map(function (n) {
+			return parseInt(n, 10);
+		});
+		if (
+			parts.some(function (n) {
+				return n > 255;
+			})
+		) {
+			return null;
+		}
+		return parts;
+	}
+
+	if (!/^[0-9a-f:.]+$/i.test(name) || !/:/.test(name)) {
+		return null;
+	}
+	// ::ffff:127.0.0.1 style
+	var v4 = name.match(/^(.*:)(\d{1,3}(\.\d{1,3}){3})$/);
+	var tail = [];
+	if (v4) {
+		tail = U._ipToBytes(v4[2]);
+		if (!tail) {
+			return null;
+		}
+		name = v4[1] + '0:0';
+	}
+	var halves = name.split('::');
+	if (halves.length > 2) {
+		return null;
+	}
+	function groups(str) {
+		return str ? str.split(':') : [];
+	}
+	var head = groups(halves[0]);
+	var rest = 2 === halves.length ? groups(halves[1]) : [];
+	var missing = 8 - head.length - rest.length;
+	if (missing < 0 || (1 === halves.length && missing)) {
+		return null;
+	}
+	if (2 === halves.length && missing < 1) {
+		return null;
+	}
+	var all = head.concat(new Array(missing + 1).join('0').split(''), rest);
+	if (
+		all.some(function (g) {
+			return !/^[0-9a-f]{1,4}$/i.test(g);
+		})
+	) {
+		return null;
+	}
+	var bytes = [];
+	all.forEach(function (g) {
+		var n = parseInt(g, 16);
+		bytes.push(n >> 8, n & 0xff);
+	});
+	if (v4) {
+		bytes = bytes.slice(0, 12).concat(tail);
+	}
+	return bytes;
+};
+
+// [ 0, 0, ..., 0, 1 ] => '::1' (the canonical RFC 5952 text form)
+U._bytesToIp = function (bytes) {
+	bytes = Array.prototype.slice.call(bytes);
+	if (4 === bytes.length) {
+		return bytes.join('.');
+	}
+	var groups = [];
+	var i;
+	for (i = 0; i < bytes.length; i += 2) {
+		groups.push(((bytes[i] << 8) + bytes[i + 1]).toString(16));
+	}
+	// compress the longest run (of at least 2) of zero groups
+	var best = { index: -1, length: 1 };
+	i = 0;
+	while (i < groups.length) {
+		var j = i;
+		while (j < groups.length && '0' === groups[j]) {
+			j += 1;
+		}
+		if (j - i > best.length) {
+			best = { index: i, length: j - i };
+		}
+		i = j + 1;
+	}
+	if (-1 === best.index) {
+		return groups.join(':');
+	}
+	return (
+		groups.slice(0, best.index).join(':') +
+		'::' +
+		groups.slice(best.index + best.length).join(':')
+	);
+};
+
+// the name used for the SNI of a tls-alpn-01 challenge for an IP (RFC 8738)
+// '127.0.0.1' => '1.0.0.127.in-addr.arpa'
+U._ipToReverseName = function (name) {
+	var bytes = U._ipToBytes(name);
+	if (4 === bytes.length) {
+		return bytes.reverse().join('.') + '.in-addr.arpa';
+	}
+	var nibbles = [];
+	bytes.forEach(function (b) {
+		nibbles.push((b >> 4).toString(16), (b & 0xf).toString(16));
+	});
+	return nibbles.reverse().join('.') + '.ip6.arpa';
+};
+
 U._setNonce = function (me, nonce) {
 	me._nonces.unshift({ nonce: nonce, createdAt: Date.now() });
 };